@@ -1,6 +1,6 @@
 /**
  * @file MMM-Birthday.js
- * @description A MagicMirror² module that displays birthday celebrations with fireworks and confetti
+ * @description A MagicMirror² module that displays birthday and anniversary celebrations with fireworks and confetti
  * @author Christian Gillinger
  * @license MIT
  * @version 1.3.0
@@ -15,8 +15,63 @@ Module.register("MMM-Birthday", {
      */
     defaults: {
         birthdays: [],           // Example: [{name: "Anna", date: "12-25"}]
+        effects: ["fireworks", "confetti"], // Effects to run, by name or as {name, duration, delay}
+        effectMode: "together",  // "together": all at once; "sequence": one after another
         fireworkDuration: "infinite",
-        confettiDuration: "infinite"
+        confettiDuration: "infinite",
+        effectDuration: "infinite", // Duration of the other effects in ms or "infinite"
+        performanceProfile: "balanced", // "low" (e.g. Pi Zero), "balanced" or "high" (desktop-class)
+        sound: null,             // Track played during celebrations, e.g. "sounds/happy-birthday.mp3"
+        soundVolume: 0.5,        // 0 to 1, also used for explosion sounds
+        soundLoop: false,        // Repeat the track for the whole celebration instead of playing it once
+        soundFadeOut: 3000,      // Fade-out in ms when the celebration ends
+        soundQuietHours: null,   // No sound in this daily window, e.g. { start: "22:00", end: "07:00" }
+        activeHours: null,       // Celebrations only show in this daily window, e.g. { start: "07:00", end: "22:00" }
+        quietHours: null,        // Only the message in this window, without effects, dimming or sound
+        celebrationBursts: null, // Effects in bursts with the message in between, e.g. { duration: 120000, interval: 3600000 }
+        showPortraits: true,     // Show each person's image (or initials) above the message
+        imageSize: 160,          // Portrait size in pixels
+        imageShape: "circle",    // "circle", "rounded" or "square"
+        imagePosition: "top",    // Portraits "top", "left" or "right" of the message
+        celebrationPolicy: "day", // "day": once per day, survives restarts; "boot": once per start; "wake": on every resume
+        upcomingCount: 5,        // Number of upcoming birthdays to list, 0 hides the list
+        upcomingDays: 30,        // How many days ahead to look for upcoming birthdays
+        milestones: [18, 30, 40, 50, 60, 70, 75, 80, 90, 100], // Ages that get MILESTONE_MESSAGES
+        timeZoneNote: true,      // Note "It's already March 12 in Sydney" for people celebrated in another time zone
+        leapDayPolicy: "feb28",  // February 29 birthdays in other years: "feb28", "mar1" or "leapYears" (skipped)
+        typeDefaults: {          // Per-person settings used for every event of a type, see eventTypes
+            memorial: {
+                effects: [{ name: "emojiRain", emojis: ["🕯️", "🤍", "🌹"], rate: 1 }],
+                sound: null
+            },
+            nameDay: {
+                effects: [{ name: "emojiRain", emojis: ["🌷", "🌸", "💐"], rate: 3 }],
+                sound: null
+            }
+        },
+        nameDays: [],            // Household names whose name days are celebrated, e.g. ["Anna", "Erik"]
+        nameDayCalendar: null,   // Bundled name-day calendar ("sv") or JSON file, null for the MagicMirror language
+        vcardFiles: [],          // Address book exports (.vcf) to read birthdays from
+        vcardAnniversaries: false, // Also celebrate ANNIVERSARY dates from vCard files
+        birthdaysFile: null,     // JSON or CSV file with birthdays, reloaded when it changes
+        dataFile: "birthdays-data.json", // Where birthdays added through the REST API are stored
+        apiKey: null,            // Key required by the REST API (X-Api-Key header or apiKey query), null for none
+        icsFiles: [],            // Calendar exports (.ics) to read birthdays from
+        icsFilter: null,         // Regular expression an event's title or categories must match
+        icsNamePattern: null,    // Regular expression capturing the name from an event's title
+        sourceReloadInterval: 60 * 60 * 1000  // How often to re-read birthday source files
+    },
+
+    /**
+     * @property {Object} eventTypes - Kinds of events with their message translation key and upcoming-list symbol
+     */
+    eventTypes: {
+        birthday: { messages: "MESSAGES", symbol: "" },
+        anniversary: { messages: "ANNIVERSARY_MESSAGES", symbol: "💍" },
+        workAnniversary: { messages: "WORK_ANNIVERSARY_MESSAGES", symbol: "💼" },
+        memorial: { messages: "MEMORIAL_MESSAGES", symbol: "🕯️" },
+        nameDay: { messages: "NAMEDAY_MESSAGES", symbol: "🌷" },
+        custom: { messages: "CUSTOM_MESSAGES", symbol: "⭐" }
     },
 
     /**
@@ -35,8 +90,16 @@ Module.register("MMM-Birthday", {
      */
     getScripts: function() {
         return [
+            this.file('birthday-dates.js'),
+            this.file('performance.js'),
+            this.file('sound.js'),
+            this.file('effects.js'),
             this.file('fireworks.js'),
-            this.file('confetti.js')
+            this.file('confetti.js'),
+            this.file('balloons.js'),
+            this.file('streamers.js'),
+            this.file('sparklers.js'),
+            this.file('emoji-rain.js')
         ];
     },
 
@@ -71,10 +134,21 @@ Module.register("MMM-Birthday", {
         
         // Initialize module states
         this.loaded = false;
-        this.fireworks = null;
         this.celebrating = false;
         this._wasCelebrating = false;  // New state tracker for suspend/resume
         this.celebrationInterval = null;
+        this.celebrationTimeout = null;    // Ends a finite celebration or burst, or starts the next burst
+        this.effectTimers = [];            // Start and stop times of the running effects
+        this.effectsRunning = false;       // Whether the effects of the celebration are on screen
+        this.nextBurst = 0;                // Time the next burst of effects is due, with celebrationBursts
+        this.celebrants = [];              // People currently celebrated, kept for resume
+        this.externalBirthdays = [];       // Birthdays loaded by the node helper
+        this.celebrationState = null;      // Persisted celebrations of this year, loaded by the node helper
+        this.endedKeys = new Map();        // Celebrations ended since start (or last wake), with the person's day they ended on
+        this.checkedDay = null;            // Day of the last birthday check
+        this.announcedToday = "";          // Today's birthdays last broadcast with BIRTHDAY_TODAY
+        this.reportedInvalid = new Set();  // Malformed entries already logged
+        this.displayedDay = null;          // Day the upcoming list was last rendered for
 
         // Set module language
         this.language = config.language || 'en';
@@ -86,12 +160,143 @@ Module.register("MMM-Birthday", {
                 "🎉 Happy Birthday, {name}! 🎂",
                 "🎈 Best wishes on your special day, {name}! 🎁",
                 "🌟 Have a fantastic birthday, {name}! 🎊"
+            ],
+            AGE_MESSAGES: [
+                "🎉 Happy {ordinal} Birthday, {name}! 🎂",
+                "🎈 {name} turns {age} today! 🎁"
+            ],
+            MILESTONE_MESSAGES: [
+                "🏆 {age} years! Happy {ordinal} Birthday, {name}! 🎉"
+            ],
+            ORDINAL: { one: "{n}st", two: "{n}nd", few: "{n}rd", other: "{n}th" },
+            ANNIVERSARY_MESSAGES: [
+                "💍 Happy anniversary, {name}! 🥂",
+                "❤️ {years} years together, {name}! 🥂"
+            ],
+            WORK_ANNIVERSARY_MESSAGES: [
+                "💼 Happy work anniversary, {name}! 🎉",
+                "💼 {years} years on the job – congratulations, {name}! 🎉"
+            ],
+            MEMORIAL_MESSAGES: [
+                "🕯️ Remembering {name} today 🤍",
+                "🕯️ {years} years ago today – remembering {name} 🤍"
+            ],
+            NAMEDAY_MESSAGES: [
+                "🌷 Happy name day, {name}! 🌸",
+                "💐 Today is {name}'s name day! 🌷"
+            ],
+            CUSTOM_MESSAGES: [
+                "⭐ Today: {name}! 🎉",
+                "⭐ {name} – {years} years! 🎉"
             ]
         };
 
+        try {
+            BirthdayDates.setLeapDayPolicy(this.config.leapDayPolicy);
+        } catch (error) {
+            Log.error(`[${this.name}] ${error.message}, using "feb28"`);
+        }
+
+        // Name days follow the MagicMirror language unless another calendar is chosen
+        this.config.nameDayCalendar = this.config.nameDayCalendar || this.language;
+
+        this.sendSocketNotification("INITIALIZE", this.config);
         this.scheduleNextCheck();
     },
 
+    /**
+     * @function socketNotificationReceived
+     * @description Handles messages from the node helper
+     * @param {string} notification - The notification identifier
+     * @param {*} payload - The notification payload
+     */
+    socketNotificationReceived: function(notification, payload) {
+        if (notification === "BIRTHDAYS") {
+            this.externalBirthdays = Array.isArray(payload) ? payload : [];
+            this.updateDom();
+            this.checkBirthdays();
+        } else if (notification === "BIRTHDAY_CELEBRATE") {
+            this.celebrateOnRequest(payload || {});
+        } else if (notification === "BIRTHDAY_STOP") {
+            this.stopOnRequest();
+        } else if (notification === "CELEBRATION_STATE") {
+            this.celebrationState = payload || {};
+            this.checkBirthdays();
+        } else if (notification === "ERROR") {
+            Log.error(`[${this.name}] ${payload.message}`);
+        }
+    },
+
+    /**
+     * @function notificationReceived
+     * @description Handles notifications from other modules
+     * @param {string} notification - The notification identifier
+     * @param {*} payload - The notification payload
+     */
+    notificationReceived: function(notification, payload) {
+        if (notification === "BIRTHDAY_CELEBRATE") {
+            this.celebrateOnRequest(payload || {});
+        } else if (notification === "BIRTHDAY_STOP") {
+            this.stopOnRequest();
+        } else if (notification === "BIRTHDAY_LIST_REQUEST") {
+            this.sendNotification("BIRTHDAY_LIST", {
+                birthdays: this.getNextBirthdays().map(birthday => this.describeBirthday(birthday))
+            });
+        }
+    },
+
+    /**
+     * @function celebrateOnRequest
+     * @description Starts a celebration requested by another module
+     * @param {Object} payload - Optional name (string or array), age and message
+     */
+    celebrateOnRequest: function(payload) {
+        const names = [].concat(payload.name || []);
+        if (names.length === 0 && !payload.message) {
+            Log.warn(`[${this.name}] BIRTHDAY_CELEBRATE needs a name or a message`);
+            return;
+        }
+        if (!names.every(name => typeof name === "string")) {
+            Log.warn(`[${this.name}] BIRTHDAY_CELEBRATE name must be a string or a list of strings`);
+            return;
+        }
+        if (payload.message !== undefined && payload.message !== null && typeof payload.message !== "string") {
+            Log.warn(`[${this.name}] BIRTHDAY_CELEBRATE message must be a string`);
+            return;
+        }
+
+        const people = (names.length > 0 ? names : [""]).map(name => ({
+            key: `manual|${name}`,
+            type: this.getEventType(payload),
+            name: name,
+            age: Number.isInteger(payload.age) ? payload.age : null,
+            message: payload.message || null,
+            manual: true,
+            birthday: payload
+        }));
+
+        if (this.celebrating) {
+            this.celebrants = this.celebrants.concat(people);
+            this.showMessage(document.querySelector('.birthday-module'));
+            this.sendNotification("BIRTHDAY_STARTED", this.describeCelebrants(people));
+            this.updateSchedule();
+            return;
+        }
+        this._wasCelebrating = false;
+        this.celebrating = true;
+        this.celebrateBirthday(people);
+    },
+
+    /**
+     * @function stopOnRequest
+     * @description Dismisses the running (or suspended) celebration on request of another module
+     */
+    stopOnRequest: function() {
+        if (this.celebrating || this._wasCelebrating) {
+            this.stopCelebration(document.querySelector('.birthday-module'), "dismissed");
+        }
+    },
+
     /**
      * @function suspend
      * @description Handles module suspension (hiding) for MMM-Pages compatibility
@@ -102,15 +307,14 @@ Module.register("MMM-Birthday", {
             this._wasCelebrating = true;
             
             // Clean up active celebrations
-            if (this.fireworks) {
-                this.fireworks.cleanup();
-            }
-            Confetti.cleanup();
+            this.clearEffects();
+            BirthdaySound.pause();
             
             // Clean up any running timers
             if (this.celebrationInterval) {
                 clearInterval(this.celebrationInterval);
             }
+            clearTimeout(this.celebrationTimeout);
             
             // Hide the celebration display
             const wrapper = document.querySelector('.birthday-module');
@@ -128,6 +332,13 @@ Module.register("MMM-Birthday", {
      * @description Handles module resumption (showing) for MMM-Pages compatibility
      */
     resume: function() {
+        // Celebrate again on every wake, even if today's celebration already ended
+        if (this.config.celebrationPolicy === "wake" && !this._wasCelebrating) {
+            this.endedKeys.clear();
+            this.checkBirthdays();
+            return;
+        }
+
         if (this._wasCelebrating) {
             // Restore celebration state
             this.celebrating = true;
@@ -139,8 +350,8 @@ Module.register("MMM-Birthday", {
                 wrapper.style.display = 'block';
             }
             
-            // Restart celebrations
-            this.celebrateBirthday();
+            // Restart the sound and effects of the celebration that was suspended
+            this.runCelebration();
         }
     },
 
@@ -151,10 +362,157 @@ Module.register("MMM-Birthday", {
      */
     getDom: function() {
         const wrapper = document.createElement("div");
-        wrapper.className = "birthday-module";
+        wrapper.className = "birthday-upcoming";
+        this.displayedDay = new Date().toDateString();
+
+        this.getUpcomingBirthdays().forEach(upcoming => {
+            const row = document.createElement("div");
+            row.className = `next-birthday type-${upcoming.type}`;
+
+            // Events other than birthdays are marked with a symbol
+            const name = document.createElement("span");
+            name.className = "upcoming-name";
+            const symbol = this.eventTypes[upcoming.type].symbol;
+            name.textContent = symbol ? `${symbol} ${upcoming.name}` : upcoming.name;
+
+            const when = document.createElement("span");
+            when.className = "upcoming-when";
+            when.textContent = this.getUpcomingLabel(upcoming);
+
+            row.appendChild(name);
+            row.appendChild(when);
+            wrapper.appendChild(row);
+        });
+
         return wrapper;
     },
 
+    /**
+     * @function getNextBirthdays
+     * @description Finds the next occurrence of every valid birthday
+     * @returns {Array} Birthdays with name, type, date, days until and age or years (null if unknown), soonest first
+     */
+    getNextBirthdays: function() {
+        const now = new Date();
+        const birthdays = [];
+
+        this.getBirthdays().forEach(birthday => {
+            const date = this.parseBirthday(birthday);
+            if (!date) {
+                return;
+            }
+
+            // Counted from today where the person lives
+            const localNow = BirthdayDates.inTimeZone(now, birthday.timezone);
+            const next = BirthdayDates.nextOccurrence(date, localNow);
+            birthdays.push({
+                name: birthday.name,
+                type: this.getEventType(birthday),
+                date: next,
+                days: BirthdayDates.daysBetween(localNow, next),
+                age: BirthdayDates.yearsOn(date, next)
+            });
+        });
+
+        return birthdays.sort((a, b) => a.days - b.days || a.name.localeCompare(b.name));
+    },
+
+    /**
+     * @function getUpcomingBirthdays
+     * @description Collects the next birthdays within the configured look-ahead
+     * @returns {Array} Upcoming birthdays from getNextBirthdays, limited to upcomingCount
+     */
+    getUpcomingBirthdays: function() {
+        if (this.config.upcomingCount <= 0) {
+            return [];
+        }
+        return this.getNextBirthdays()
+            .filter(birthday => birthday.days <= this.config.upcomingDays)
+            .slice(0, this.config.upcomingCount);
+    },
+
+    /**
+     * @function describeBirthday
+     * @description Converts a birthday from getNextBirthdays to a notification payload entry
+     * @param {Object} birthday - Birthday with name, type, date, days and age
+     * @returns {Object} Name, type, date as "YYYY-MM-DD", days until and age
+     */
+    describeBirthday: function(birthday) {
+        const date = birthday.date;
+        return {
+            name: birthday.name,
+            type: birthday.type,
+            date: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`,
+            days: birthday.days,
+            age: birthday.age
+        };
+    },
+
+    /**
+     * @function describeCelebrants
+     * @description Builds the payload of BIRTHDAY_STARTED and BIRTHDAY_ENDED notifications
+     * @param {Array} people - People celebrated
+     * @returns {Object} Names and people (name, type and age) of the celebration
+     */
+    describeCelebrants: function(people) {
+        return {
+            names: people.map(person => person.name),
+            people: people.map(person => ({ name: person.name, type: person.type, age: person.age }))
+        };
+    },
+
+    /**
+     * @function getEventType
+     * @description Determines the kind of event of an entry
+     * @param {Object} entry - Birthday entry or BIRTHDAY_CELEBRATE payload
+     * @returns {string} Key of eventTypes, "birthday" when none is given
+     */
+    getEventType: function(entry) {
+        const type = entry && entry.type;
+        return type && Object.prototype.hasOwnProperty.call(this.eventTypes, type) ? type : "birthday";
+    },
+
+    /**
+     * @function getBirthdayKey
+     * @description Identifies an entry for duplicate detection and the celebration state
+     * @param {Object} birthday - Birthday entry
+     * @returns {string} "name|date", with the type appended for events other than birthdays
+     */
+    getBirthdayKey: function(birthday) {
+        const type = this.getEventType(birthday);
+        return type === "birthday" ? `${birthday.name}|${birthday.date}` : `${birthday.name}|${birthday.date}|${type}`;
+    },
+
+    /**
+     * @function getEntrySettings
+     * @description Combines a person's own settings with the defaults of their event type
+     * @param {Object} person - Person celebrated
+     * @returns {Object} Per-person settings such as messages, colors, effects and sound
+     */
+    getEntrySettings: function(person) {
+        const typeDefaults = Object.assign({}, this.defaults.typeDefaults, this.config.typeDefaults);
+        return Object.assign({}, typeDefaults[this.getEventType(person.birthday)], person.birthday || {});
+    },
+
+    /**
+     * @function getUpcomingLabel
+     * @description Describes when an upcoming birthday occurs
+     * @param {Object} upcoming - Upcoming birthday from getUpcomingBirthdays
+     * @returns {string} "Today", "Tomorrow", "in N days" or a date for later birthdays
+     */
+    getUpcomingLabel: function(upcoming) {
+        if (upcoming.days === 0) {
+            return this.translate("TODAY");
+        }
+        if (upcoming.days === 1) {
+            return this.translate("TOMORROW");
+        }
+        if (upcoming.days <= 7) {
+            return this.translate("IN_DAYS", { days: upcoming.days });
+        }
+        return upcoming.date.toLocaleDateString(this.language, { day: "numeric", month: "long" });
+    },
+
     /**
      * @function scheduleNextCheck
      * @description Sets up periodic checks for birthdays
@@ -162,151 +520,860 @@ Module.register("MMM-Birthday", {
     scheduleNextCheck: function() {
         setInterval(() => {
             this.checkBirthdays();
+            this.updateSchedule();
+            this.updateSound();
         }, 60000);
         this.checkBirthdays(); // Initial check on load
     },
 
     /**
      * @function checkBirthdays
-     * @description Checks if today matches any configured birthdays
+     * @description Checks if any configured birthday is due now
      */
     checkBirthdays: function() {
         const now = new Date();
-        const currentDate = (now.getMonth() + 1).toString().padStart(2, '0') + 
-                           "-" + now.getDate().toString().padStart(2, '0');
 
-        if (!Array.isArray(this.config.birthdays)) {
-            Log.error(`[${this.name}] Birthdays configuration is not an array`);
+        // Refresh the upcoming list when the day changes
+        if (this.displayedDay && this.displayedDay !== now.toDateString()) {
+            this.updateDom();
+        }
+
+        // The note on other time zones depends on the mirror's date
+        if (this.checkedDay !== now.toDateString()) {
+            if (this.checkedDay && this.celebrating) {
+                this.showMessage(document.querySelector('.birthday-module'));
+            }
+            this.checkedDay = now.toDateString();
+        }
+
+        // Let other modules know whose birthday it is, whenever that list changes
+        const today = this.getNextBirthdays().filter(birthday => birthday.days === 0);
+        const announcement = `${this.checkedDay}|${today.map(birthday => birthday.name).join("|")}`;
+        if (today.length > 0 && announcement !== this.announcedToday) {
+            this.announcedToday = announcement;
+            this.sendNotification("BIRTHDAY_TODAY", {
+                birthdays: today.map(birthday => this.describeBirthday(birthday))
+            });
+        }
+
+        // Wait for the persisted state so a restart does not replay today's celebration
+        if (this.config.celebrationPolicy === "day" && this.celebrationState === null) {
             return;
         }
 
-        this.config.birthdays.forEach(birthday => {
-            if (birthday.date === currentDate && !this.celebrating && !this._wasCelebrating) {
-                this.celebrating = true;
-                this.celebrateBirthday(birthday.name);
+        // Everyone whose birthday is today where they live, and whose configured time has passed
+        const due = [];
+        this.getBirthdays().forEach(birthday => {
+            const date = this.parseBirthday(birthday);
+            if (!date) {
+                return;
+            }
+            const localNow = BirthdayDates.inTimeZone(now, birthday.timezone);
+            const key = this.getBirthdayKey(birthday);
+            if (BirthdayDates.occursOn(date, localNow) && localNow >= BirthdayDates.startOn(date, localNow) &&
+                !this.hasCelebrationEnded(key, localNow, birthday.timezone)) {
+                due.push({
+                    key: key,
+                    type: this.getEventType(birthday),
+                    name: birthday.name,
+                    age: BirthdayDates.yearsOn(date, localNow),
+                    birthday: birthday
+                });
             }
         });
+
+        // A person's celebration ends when their day is over, at midnight in their time zone
+        const over = this.celebrants.filter(person => !person.manual && !due.some(entry => entry.key === person.key));
+        if (over.length > 0) {
+            this.endCelebrations(over);
+        }
+
+        if (due.length === 0 || this._wasCelebrating) {
+            return;
+        }
+
+        if (!this.celebrating) {
+            // Outside the active hours the celebration waits for them to begin
+            if (this.isWithinConfiguredHours(now, "activeHours") === false) {
+                return;
+            }
+            this.celebrating = true;
+            this.celebrateBirthday(due);
+            return;
+        }
+
+        // Add people whose time arrived during a running celebration
+        const newcomers = due.filter(person => !this.celebrants.some(c => c.key === person.key));
+        if (newcomers.length > 0) {
+            this.celebrants = this.celebrants.concat(newcomers);
+            this.recordCelebration(newcomers, "celebrated");
+            this.showMessage(document.querySelector('.birthday-module'));
+            this.sendNotification("BIRTHDAY_STARTED", this.describeCelebrants(newcomers));
+        }
     },
 
     /**
-     * @function getRandomMessage
-     * @description Selects a random birthday message and personalizes it
-     * @param {string} name - Name of the person celebrating
-     * @returns {string} Formatted birthday message
+     * @function hasCelebrationEnded
+     * @description Checks whether today's celebration for a person already ended under the configured policy
+     * @param {string} key - Birthday key from getBirthdayKey
+     * @param {Date} localNow - Current time where the person lives
+     * @param {string} [timeZone] - The person's time zone, none for the mirror's own
+     * @returns {boolean} True if the person should not be celebrated again
      */
-    getRandomMessage: function(name) {
+    hasCelebrationEnded: function(key, localNow, timeZone) {
+        if (this.endedKeys.get(key) === localNow.toDateString()) {
+            return true;
+        }
+        if (this.config.celebrationPolicy !== "day") {
+            return false;
+        }
+        const record = this.celebrationState[key];
+        const ended = record && (record.ended || record.dismissed);
+        // Compared by day, as dates kept in the Islamic calendar can occur twice in a Gregorian year
+        return Boolean(ended && BirthdayDates.inTimeZone(new Date(ended), timeZone).toDateString() === localNow.toDateString());
+    },
+
+    /**
+     * @function endCelebrations
+     * @description Ends the celebration of people whose day is over, and the whole celebration when nobody is left
+     * @param {Array} people - Celebrants whose day is over
+     */
+    endCelebrations: function(people) {
+        const wrapper = document.querySelector('.birthday-module');
+        const remaining = this.celebrants.filter(person => !people.includes(person));
+        if (remaining.length === 0) {
+            this.stopCelebration(wrapper);
+            return;
+        }
+        this.celebrants = remaining;
+        this.recordCelebration(people, "ended");
+        this.showMessage(wrapper);
+        this.sendNotification("BIRTHDAY_ENDED", this.describeCelebrants(people));
+    },
+
+    /**
+     * @function recordCelebration
+     * @description Remembers celebration progress and has the node helper persist it
+     * @param {Array} people - People the update applies to
+     * @param {string} status - "celebrated" when started, "ended" when finished, "dismissed" when stopped on request
+     */
+    recordCelebration: function(people, status) {
+        const timestamp = new Date().toISOString();
+
+        // Celebrations requested by other modules are not tied to a birthday
+        people.filter(person => !person.manual).forEach(person => {
+            if (status !== "celebrated") {
+                this.endedKeys.set(person.key, BirthdayDates.inTimeZone(new Date(), person.birthday.timezone).toDateString());
+            }
+            if (this.celebrationState) {
+                this.celebrationState[person.key] = Object.assign({}, this.celebrationState[person.key], { [status]: timestamp });
+            }
+            this.sendSocketNotification("CELEBRATION_RECORD", {
+                key: person.key,
+                year: new Date().getFullYear(),
+                status: status,
+                timestamp: timestamp
+            });
+        });
+    },
+
+    /**
+     * @function getBirthdays
+     * @description Combines configured birthdays with those loaded by the node helper
+     * @returns {Array} All birthday entries, without duplicates
+     */
+    getBirthdays: function() {
+        let configured = this.config.birthdays;
+        if (!Array.isArray(configured)) {
+            if (!this.reportedInvalid.has("birthdays")) {
+                this.reportedInvalid.add("birthdays");
+                Log.error(`[${this.name}] Birthdays configuration is not an array`);
+            }
+            configured = [];
+        }
+
+        const seen = new Set();
+        return configured.concat(this.externalBirthdays).filter(birthday => {
+            const key = birthday ? this.getBirthdayKey(birthday) : "";
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    },
+
+    /**
+     * @function parseBirthday
+     * @description Parses the date of a configured birthday entry
+     * @param {Object} birthday - Birthday entry from the configuration
+     * @returns {Object|null} Parsed date, or null if the entry is malformed
+     */
+    parseBirthday: function(birthday) {
+        try {
+            if (!birthday || typeof birthday.name !== 'string' || birthday.name.trim() === '') {
+                throw new Error('missing name');
+            }
+            // No time zone (also null or empty, as from the API) is the mirror's own
+            if (birthday.timezone !== undefined && birthday.timezone !== null && birthday.timezone !== "" &&
+                !BirthdayDates.isTimeZone(birthday.timezone)) {
+                throw new Error(`unknown timezone "${birthday.timezone}", expected e.g. "Australia/Sydney"`);
+            }
+            // No type (also null or empty) is a birthday
+            if (birthday.type !== undefined && birthday.type !== null && birthday.type !== "" &&
+                this.getEventType(birthday) !== birthday.type) {
+                throw new Error(`unknown type "${birthday.type}", expected one of ${Object.keys(this.eventTypes).join(", ")}`);
+            }
+            const date = BirthdayDates.parse(birthday.date, birthday.calendar);
+
+            // Name days that move in leap years (Swedish ones from February 24) carry their leap-year date
+            if (birthday.leapYearDate !== undefined) {
+                const leap = BirthdayDates.parse(birthday.leapYearDate);
+                if (date.calendar !== "gregorian" || leap.year !== null || leap.hasTime) {
+                    throw new Error(`invalid leapYearDate "${birthday.leapYearDate}", expected "MM-DD"`);
+                }
+                date.leapYear = { month: leap.month, day: leap.day };
+            }
+
+            // A separate year field is an alternative to YYYY-MM-DD, in the same calendar
+            return BirthdayDates.applyYear(date, birthday.year);
+        } catch (error) {
+            // Report each malformed entry once instead of on every check
+            const key = JSON.stringify(birthday);
+            if (!this.reportedInvalid.has(key)) {
+                this.reportedInvalid.add(key);
+                Log.error(`[${this.name}] Ignoring birthday entry ${key}: ${error.message}`);
+            }
+            return null;
+        }
+    },
+
+    /**
+     * @function getMessages
+     * @description Looks up a translated message list, falling back to the built-in defaults
+     * @param {string} key - Translation key of the message list
+     * @returns {Array} List of message templates
+     */
+    getMessages: function(key) {
         let messages;
         try {
-            messages = this.translate("MESSAGES");
-            if (messages === "MESSAGES") {
-                messages = this.defaultTranslations.MESSAGES;
+            messages = this.translate(key);
+            if (messages === key) {
+                messages = this.defaultTranslations[key];
             }
         } catch (e) {
-            messages = this.defaultTranslations.MESSAGES;
+            messages = this.defaultTranslations[key];
             Log.warn(`${this.name} translation failed, using default messages`);
         }
-        
-        if (!Array.isArray(messages)) {
-            messages = this.defaultTranslations.MESSAGES;
+
+        if (!Array.isArray(messages) || messages.length === 0) {
+            messages = this.defaultTranslations[key];
             Log.warn(`${this.name} invalid translation format, using default messages`);
         }
+        return messages;
+    },
+
+    /**
+     * @function formatOrdinal
+     * @description Formats a number as a localized ordinal, e.g. "30th", "30:e" or "30."
+     * @param {number} n - Number to format
+     * @returns {string} Localized ordinal
+     */
+    formatOrdinal: function(n) {
+        let patterns = this.translate("ORDINAL");
+        if (!patterns || typeof patterns !== "object") {
+            patterns = this.defaultTranslations.ORDINAL;
+        }
+
+        // Plural categories ("one", "two", "few", "other") select the suffix
+        let category = "other";
+        try {
+            category = new Intl.PluralRules(this.language, { type: "ordinal" }).select(n);
+        } catch (e) {
+            Log.warn(`${this.name} ordinal rules unavailable for ${this.language}`);
+        }
+
+        const pattern = patterns[category] || patterns.other || "{n}";
+        return pattern.replace("{n}", n);
+    },
+
+    /**
+     * @function formatNames
+     * @description Joins names into a localized list, e.g. "Anna, Beth and Charlie"
+     * @param {Array} names - Names to join
+     * @returns {string} Localized list of names
+     */
+    formatNames: function(names) {
+        try {
+            return new Intl.ListFormat(this.language, { style: "long", type: "conjunction" }).format(names);
+        } catch (e) {
+            return names.join(", ");
+        }
+    },
+
+    /**
+     * @function getRandomMessage
+     * @description Selects a random message for the event and personalizes it
+     * @param {Array} people - People celebrating, each with name, type and age (null if unknown)
+     * @returns {Array} Formatted messages as plain text, one per event type
+     */
+    getRandomMessage: function(people) {
+        // People celebrating different kinds of events each get their own message
+        const types = Array.from(new Set(people.map(person => this.getEventType(person.birthday))));
+        if (types.length > 1) {
+            return [].concat(...types
+                .map(type => this.getRandomMessage(people.filter(person => this.getEventType(person.birthday) === type))));
+        }
+
+        // Shared events get one combined message; ages only apply to a single person
+        const person = people.length === 1
+            ? people[0]
+            : { name: this.formatNames(people.map(p => p.name)), age: null };
+        const age = person.age;
+        const hasYears = age !== null && age !== undefined && age > 0;
+
+        // Messages using the years need a known year, and are preferred when it is known
+        const needsYears = message => /\{(years|age|ordinal)\}/.test(message);
+        const fitting = list => {
+            const withYears = list.filter(needsYears);
+            return hasYears && withYears.length > 0 ? withYears : list.filter(message => !needsYears(message));
+        };
+
+        // A message given with BIRTHDAY_CELEBRATE, or else the person's own messages, replace the translated ones
+        let own = [];
+        if (people.length === 1) {
+            own = fitting(people[0].message ? [people[0].message] : [].concat(this.getEntrySettings(people[0]).messages || []));
+        }
+
+        let messages;
+        if (own.length > 0) {
+            messages = own;
+        } else if (types[0] === "birthday") {
+            let key = "MESSAGES";
+            if (hasYears) {
+                key = this.config.milestones.includes(age) ? "MILESTONE_MESSAGES" : "AGE_MESSAGES";
+            }
+            messages = this.getMessages(key);
+        } else {
+            // Other events have one list for both
+            const all = this.getMessages(this.eventTypes[types[0]].messages);
+            messages = fitting(all).length > 0 ? fitting(all) : all;
+        }
 
         const message = messages[Math.floor(Math.random() * messages.length)];
-        return message.replace('{name}', name);
+        return [message
+            .replace(/\{name\}/g, () => person.name)
+            .replace(/\{(age|years)\}/g, age)
+            .replace(/\{ordinal\}/g, () => this.formatOrdinal(age))];
     },
 
     /**
      * @function celebrateBirthday
-     * @description Initiates the birthday celebration with animations
-     * @param {string} name - Name of the person celebrating
+     * @description Initiates the birthday celebration, showing the message and the effects as scheduled
+     * @param {Array} people - People celebrating, each with name and age (null if unknown)
      */
-    celebrateBirthday: function(name) {
-        // Initialize animation components
-        if (!this.fireworks) {
-            this.fireworks = new Fireworks();
-        }
-        Confetti.init();
+    celebrateBirthday: function(people) {
+        this.celebrants = people;
+        this.recordCelebration(people, "celebrated");
+        this.sendNotification("BIRTHDAY_STARTED", this.describeCelebrants(people));
 
         // Create or get celebration display
         const wrapper = document.querySelector('.birthday-module') || this.createWrapper();
-        const messageDiv = document.createElement("div");
-        messageDiv.className = "birthday-message";
-        messageDiv.innerHTML = this.getRandomMessage(name);
-        
-        // Update display
-        wrapper.innerHTML = '';
-        wrapper.appendChild(messageDiv);
-        wrapper.style.display = 'block';
+        this.showMessage(wrapper);
+
+        this.nextBurst = 0;
+        this.runCelebration();
+    },
+
+    /**
+     * @function runCelebration
+     * @description Starts the sound and effects of the current celebration, also when it resumes
+     *   after a suspend, which neither announces nor records it again and keeps the wait for the next burst
+     */
+    runCelebration: function() {
+        this.startSound(this.celebrants);
+        this.updateSchedule();
+    },
+
+    /**
+     * @function getCelebrationPhase
+     * @description Determines what the celebration shows at a time of day
+     * @param {Date} now - Current time
+     * @returns {string} "hidden" outside the active hours, "message" during quiet hours, otherwise "effects"
+     */
+    getCelebrationPhase: function(now) {
+        // Celebrations requested by other modules or the admin page also show outside the active hours
+        if (this.isWithinConfiguredHours(now, "activeHours") === false && this.celebrants.every(person => !person.manual)) {
+            return "hidden";
+        }
+        return this.isWithinConfiguredHours(now, "quietHours") === true ? "message" : "effects";
+    },
+
+    /**
+     * @function updateSchedule
+     * @description Shows, hides and runs the effects of the celebration according to the active hours,
+     *   quiet hours and bursts; called when the celebration starts, every minute and when a burst ends
+     */
+    updateSchedule: function() {
+        if (!this.celebrating) {
+            return;
+        }
+        const now = new Date();
+        const phase = this.getCelebrationPhase(now);
+        const wrapper = document.querySelector('.birthday-module');
+        if (wrapper) {
+            wrapper.style.display = phase === "hidden" ? 'none' : 'block';
+        }
+
+        if (phase !== "effects") {
+            if (this.effectsRunning) {
+                clearTimeout(this.celebrationTimeout);
+                this.clearEffects();
+                this.restoreOtherModules();
+            }
+            return;
+        }
+        if (this.effectsRunning) {
+            return;
+        }
+
+        // With bursts the effects return every interval, until the day is over
+        const bursts = this.getBursts();
+        if (bursts && now.getTime() < this.nextBurst) {
+            clearTimeout(this.celebrationTimeout);
+            this.celebrationTimeout = setTimeout(() => this.updateSchedule(), this.nextBurst - now.getTime());
+            return;
+        }
 
-        // Start celebration effects
         this.dimOtherModules();
-        this.startFireworks();
-        this.startConfetti();
+        let duration = this.startEffects(this.getCelebrationOptions(this.celebrants));
+        this.effectsRunning = true;
+        if (bursts) {
+            this.nextBurst = now.getTime() + bursts.interval;
+            duration = duration === "infinite" ? bursts.duration : Math.min(duration, bursts.duration);
+        }
 
-        // Set celebration duration if not infinite
-        if (this.config.fireworkDuration !== "infinite") {
-            setTimeout(() => {
-                this.stopCelebration(wrapper);
-            }, this.config.fireworkDuration);
+        // End the effects, or with a single run the whole celebration, unless they are infinite
+        clearTimeout(this.celebrationTimeout);
+        if (duration !== "infinite") {
+            this.celebrationTimeout = setTimeout(() => {
+                if (!bursts) {
+                    this.stopCelebration(wrapper);
+                    return;
+                }
+                this.endBurst();
+                // Celebrations requested by other modules or the admin page last one burst
+                const manual = this.celebrants.filter(person => person.manual);
+                if (manual.length > 0) {
+                    this.endCelebrations(manual);
+                }
+                this.updateSchedule();
+            }, duration);
         }
     },
 
     /**
-     * @function startFireworks
-     * @description Configures and starts the fireworks animation
+     * @function getBursts
+     * @description Reads the celebrationBursts option
+     * @returns {Object|null} Burst duration and interval in ms, or null when the effects run once
      */
-    startFireworks: function() {
-        this.fireworks.start(this.config.fireworkDuration);
+    getBursts: function() {
+        const bursts = this.config.celebrationBursts;
+        if (!bursts) {
+            return null;
+        }
+        const valid = typeof bursts === "object" && [bursts.duration, bursts.interval]
+            .every(value => typeof value === "number" && value > 0);
+        if (!valid) {
+            if (!this.reportedInvalid.has("celebrationBursts")) {
+                this.reportedInvalid.add("celebrationBursts");
+                Log.warn(`[${this.name}] Ignoring celebrationBursts, expected e.g. { duration: 120000, interval: 3600000 }`);
+            }
+            return null;
+        }
+        return bursts;
     },
 
     /**
-     * @function startConfetti
-     * @description Initiates confetti animation with periodic bursts
+     * @function endBurst
+     * @description Ends a burst of effects, letting the last particles finish while the message stays
      */
-    startConfetti: function() {
-        const isInfinite = this.config.confettiDuration === "infinite";
-        const end = isInfinite ? Infinity : Date.now() + this.config.confettiDuration;
+    endBurst: function() {
+        this.effectTimers.forEach(timer => clearTimeout(timer));
+        this.effectTimers = [];
+        BirthdayEffects.names().forEach(name => BirthdayEffects.get(name).stop());
+        PerformanceGovernor.stop();
+        this.effectsRunning = false;
+        this.restoreOtherModules();
+    },
+
+    /**
+     * @function getCelebrationOptions
+     * @description Combines the per-person settings of everyone celebrated with the global defaults
+     * @param {Array} people - People celebrated
+     * @returns {Object} Effects to run, each with name and duration, and colors (null for default palettes)
+     */
+    getCelebrationOptions: function(people) {
+        const entries = people.map(person => this.getEntrySettings(person));
+
+        // Durations: the longest one wins, unless someone's celebration is infinite
+        const duration = key => {
+            const values = entries.map(entry => entry[key]).filter(value => value !== undefined);
+            if (values.length === 0) {
+                return this.config[key];
+            }
+            return values.includes("infinite") ? "infinite" : Math.max(...values);
+        };
+
+        const colors = this.normalizeColors([].concat(...entries.map(entry => entry.colors || [])));
 
-        const fireBurst = () => {
-            if (this.celebrating && (isInfinite || Date.now() < end)) {
-                Confetti.fire();
-                // Random delay between bursts (2-8 seconds)
-                const nextDelay = 2000 + Math.random() * 6000;
-                setTimeout(fireBurst, nextDelay);
+        // Effects of everyone celebrated, in configured order, each effect once.
+        // Per-person effects start from the global settings of the same effect.
+        const toEffect = item => typeof item === "string" ? { name: item } : item;
+        const globalEffects = this.config.effects.map(toEffect).filter(effect => effect);
+        const effects = new Map();
+        entries.forEach(entry => {
+            (Array.isArray(entry.effects) ? entry.effects : this.config.effects).forEach(item => {
+                const effect = toEffect(item);
+                if (!effect || !BirthdayEffects.get(effect.name)) {
+                    Log.warn(`[${this.name}] Ignoring unknown effect "${effect && effect.name}", available: ${BirthdayEffects.names().join(", ")}`);
+                } else if (!effects.has(effect.name)) {
+                    const settings = globalEffects.find(global => global.name === effect.name);
+                    effects.set(effect.name, Object.assign({}, settings, effect));
+                }
+            });
+        });
+
+        // Effects without their own duration use the matching global or per-person one
+        effects.forEach(effect => {
+            if (effect.duration === undefined) {
+                effect.duration = effect.name === "fireworks" ? duration("fireworkDuration") :
+                    effect.name === "confetti" ? duration("confettiDuration") : this.config.effectDuration;
             }
+        });
+
+        return {
+            effects: Array.from(effects.values()),
+            colors: colors.length > 0 ? colors : null
         };
+    },
+
+    /**
+     * @function startEffects
+     * @description Schedules the celebration effects together or one after another
+     * @param {Object} options - Celebration options from getCelebrationOptions
+     * @returns {number|string} Time in ms until the last effect ends, or "infinite"
+     */
+    startEffects: function(options) {
+        this.clearEffects();
+        PerformanceGovernor.configure(this.config.performanceProfile);
+        PerformanceGovernor.start();
+
+        const sequence = this.config.effectMode === "sequence";
+        let offset = 0;
+        let end = 0;
+        let infinite = false;
+
+        for (const settings of options.effects) {
+            // Nothing after an endless effect in a sequence would ever start
+            if (sequence && infinite) {
+                Log.warn(`[${this.name}] Effects after an endless effect never start, skipping "${settings.name}"`);
+                break;
+            }
+
+            const effect = BirthdayEffects.get(settings.name);
+            const begin = offset + (settings.delay || 0);
+            this.effectTimers.push(setTimeout(() => {
+                effect.init();
+                effect.start(Object.assign({}, settings, {
+                    colors: options.colors,
+                    people: this.describeCelebrants(this.celebrants).people
+                }));
+            }, begin));
+
+            if (settings.duration === "infinite") {
+                infinite = true;
+                continue;
+            }
+            this.effectTimers.push(setTimeout(() => effect.stop(), begin + settings.duration));
+            end = Math.max(end, begin + settings.duration);
+            if (sequence) {
+                offset = begin + settings.duration;
+            }
+        }
 
-        // Start first burst after initial delay
-        setTimeout(fireBurst, 1000);
+        if (infinite) {
+            return "infinite";
+        }
+        // Without effects the message stays as long as other effects would
+        return options.effects.length > 0 ? end : this.config.effectDuration;
+    },
+
+    /**
+     * @function clearEffects
+     * @description Cancels scheduled effects and removes all effects from the screen
+     */
+    clearEffects: function() {
+        this.effectTimers.forEach(timer => clearTimeout(timer));
+        this.effectTimers = [];
+        this.effectsRunning = false;
+        BirthdayEffects.cleanupAll();
+        PerformanceGovernor.stop();
+    },
+
+    /**
+     * @function normalizeColors
+     * @description Converts configured colors to "#rrggbb", dropping invalid ones
+     * @param {Array} colors - Colors such as "#f0a" or "ff0088"
+     * @returns {Array} Valid colors in "#rrggbb" form
+     */
+    normalizeColors: function(colors) {
+        return colors.reduce((valid, color) => {
+            const match = typeof color === 'string' && color.trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+            if (!match) {
+                Log.warn(`[${this.name}] Ignoring invalid color "${color}", expected "#rrggbb"`);
+                return valid;
+            }
+            const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+            valid.push('#' + hex.toLowerCase());
+            return valid;
+        }, []);
+    },
+
+    /**
+     * @function showMessage
+     * @description Renders the message for everyone currently celebrated
+     * @param {Element} wrapper - The celebration display wrapper
+     */
+    showMessage: function(wrapper) {
+        if (!wrapper) {
+            return;
+        }
+        const celebration = document.createElement("div");
+        celebration.className = `birthday-celebration portraits-${this.config.imagePosition}`;
+
+        const people = this.celebrants.filter(person => person.name);
+        if (this.config.showPortraits && people.length > 0) {
+            const portraits = document.createElement("div");
+            portraits.className = "birthday-portraits";
+            people.forEach(person => portraits.appendChild(this.createPortrait(person)));
+            celebration.appendChild(portraits);
+        }
+
+        const messageDiv = document.createElement("div");
+        messageDiv.className = "birthday-message";
+        // Names and messages come from address books, calendars and the API, so they are shown as text
+        this.getRandomMessage(this.celebrants).forEach((line, index) => {
+            if (index > 0) {
+                messageDiv.appendChild(document.createElement("br"));
+            }
+            messageDiv.appendChild(document.createTextNode(line));
+        });
+        celebration.appendChild(messageDiv);
+
+        const note = this.getTimeZoneNote(this.celebrants);
+        if (note) {
+            const noteDiv = document.createElement("div");
+            noteDiv.className = "birthday-note";
+            noteDiv.textContent = note;
+            messageDiv.appendChild(noteDiv);
+        }
+
+        wrapper.innerHTML = '';
+        wrapper.appendChild(celebration);
+    },
+
+    /**
+     * @function getTimeZoneNote
+     * @description Notes where it already, or still, is the celebrated day while the mirror shows another date
+     * @param {Array} people - People celebrated
+     * @returns {string} Notes such as "It's already March 12 in Sydney", empty when everyone shares the mirror's date
+     */
+    getTimeZoneNote: function(people) {
+        if (!this.config.timeZoneNote) {
+            return "";
+        }
+        const now = new Date();
+        const notes = [];
+        people.filter(person => !person.manual && person.birthday.timezone).forEach(person => {
+            const timeZone = person.birthday.timezone;
+            const localNow = BirthdayDates.inTimeZone(now, timeZone);
+            const days = BirthdayDates.daysBetween(now, localNow);
+            if (days === 0) {
+                return;
+            }
+            const note = this.translate(days > 0 ? "TIMEZONE_AHEAD" : "TIMEZONE_BEHIND", {
+                date: localNow.toLocaleDateString(this.language, { day: "numeric", month: "long" }),
+                place: timeZone.split("/").pop().replace(/_/g, " ")
+            });
+            if (!notes.includes(note)) {
+                notes.push(note);
+            }
+        });
+        return notes.join(" · ");
+    },
+
+    /**
+     * @function createPortrait
+     * @description Creates a framed portrait of a person, falling back to an initials avatar
+     * @param {Object} person - Person celebrated
+     * @returns {Element} The portrait element
+     */
+    createPortrait: function(person) {
+        const size = this.config.imageSize;
+        const portrait = document.createElement("div");
+        portrait.className = `birthday-portrait shape-${this.config.imageShape}`;
+        portrait.style.width = size + 'px';
+        portrait.style.height = size + 'px';
+
+        const showInitials = () => {
+            const colors = this.normalizeColors((person.birthday && person.birthday.colors) || []);
+            portrait.innerHTML = '';
+            portrait.classList.add('initials');
+            portrait.style.fontSize = Math.round(size * 0.4) + 'px';
+            portrait.style.backgroundColor = colors[0] || this.getAvatarColor(person.name);
+            portrait.textContent = this.getInitials(person.name);
+        };
+
+        const image = person.birthday && person.birthday.image;
+        if (!image) {
+            showInitials();
+            return portrait;
+        }
+
+        const img = document.createElement("img");
+        img.alt = person.name;
+        img.src = this.getFileUrl(image);
+        img.onerror = showInitials;
+        portrait.appendChild(img);
+        return portrait;
+    },
+
+    /**
+     * @function getFileUrl
+     * @description Resolves a configured image or sound path
+     * @param {string} path - URL, absolute path, or path relative to the module folder
+     * @returns {string} URL the browser can load
+     */
+    getFileUrl: function(path) {
+        if (/^([a-z]+:|\/)/i.test(path)) {
+            return path;
+        }
+        return this.file(path);
+    },
+
+    /**
+     * @function getInitials
+     * @description Builds initials from the first and last word of a name
+     * @param {string} name - Person's name
+     * @returns {string} One or two upper-case letters
+     */
+    getInitials: function(name) {
+        const words = name.trim().split(/\s+/);
+        const first = Array.from(words[0])[0] || '';
+        const last = words.length > 1 ? Array.from(words[words.length - 1])[0] : '';
+        return (first + last).toUpperCase();
+    },
+
+    /**
+     * @function getAvatarColor
+     * @description Picks a stable background color for an initials avatar
+     * @param {string} name - Person's name
+     * @returns {string} Color in hex format
+     */
+    getAvatarColor: function(name) {
+        const colors = ['#ff718d', '#58cffb', '#7b52ff', '#f4a261', '#2a9d8f', '#e76f51'];
+        const hash = Array.from(name).reduce((sum, char) => sum + char.codePointAt(0), 0);
+        return colors[hash % colors.length];
     },
 
     /**
      * @function stopCelebration
      * @description Cleans up and ends the celebration
      * @param {Element} wrapper - The celebration display wrapper
+     * @param {string} [status="ended"] - "ended" when the duration ran out, "dismissed" when stopped on request
      */
-    stopCelebration: function(wrapper) {
+    stopCelebration: function(wrapper, status = "ended") {
         if (this.celebrationInterval) {
             clearInterval(this.celebrationInterval);
         }
+        clearTimeout(this.celebrationTimeout);
         
         // Hide celebration display
-        wrapper.style.display = 'none';
+        if (wrapper) {
+            wrapper.style.display = 'none';
+        }
         
-        // Restore other modules
-        document.querySelectorAll('.module').forEach(module => {
-            module.style.filter = '';
-        });
+        this.restoreOtherModules();
         
         // Reset celebration state
+        this.recordCelebration(this.celebrants, status);
+        this.sendNotification("BIRTHDAY_ENDED", this.describeCelebrants(this.celebrants));
+        this.celebrants = [];
         this.celebrating = false;
         this._wasCelebrating = false;
         
         // Clean up animations
-        if (this.fireworks) {
-            this.fireworks.cleanup();
+        this.clearEffects();
+        BirthdaySound.stop(this.config.soundFadeOut);
+    },
+
+    /**
+     * @function startSound
+     * @description Plays the first celebrant's own track, or the global one unless everyone's is switched off
+     * @param {Array} people - People celebrated
+     */
+    startSound: function(people) {
+        const settings = people.map(person => this.getEntrySettings(person));
+        const own = settings.find(entry => entry.sound);
+        const track = own ? own.sound : settings.some(entry => entry.sound === undefined) ? this.config.sound : null;
+
+        BirthdaySound.setVolume(this.config.soundVolume);
+        BirthdaySound.setQuiet(this.isSoundQuiet(new Date()));
+        BirthdaySound.play(track ? this.getFileUrl(track) : null, this.config.soundLoop);
+    },
+
+    /**
+     * @function updateSound
+     * @description Fades the sound out when quiet hours begin during a celebration, and back in when they end
+     */
+    updateSound: function() {
+        if (this.celebrating) {
+            BirthdaySound.setQuiet(this.isSoundQuiet(new Date()), this.config.soundFadeOut);
+        }
+    },
+
+    /**
+     * @function isSoundQuiet
+     * @description Checks whether sound is muted by the quiet hours, or because the celebration is not shown
+     * @param {Date} now - Current time
+     * @returns {boolean} True during quiet hours
+     */
+    isSoundQuiet: function(now) {
+        return this.isWithinConfiguredHours(now, "soundQuietHours") === true || this.getCelebrationPhase(now) !== "effects";
+    },
+
+    /**
+     * @function isWithinConfiguredHours
+     * @description Checks a time against a daily window option such as activeHours or quietHours
+     * @param {Date} now - Current time
+     * @param {string} option - Name of the option
+     * @returns {boolean|null} Whether the time is in the window, null when the option is not set or invalid
+     */
+    isWithinConfiguredHours: function(now, option) {
+        if (!this.config[option]) {
+            return null;
+        }
+        try {
+            return BirthdayDates.isWithinHours(now, this.config[option]);
+        } catch (error) {
+            // Report once instead of on every check
+            if (!this.reportedInvalid.has(option)) {
+                this.reportedInvalid.add(option);
+                Log.warn(`[${this.name}] Ignoring ${option}: ${error.message}`);
+            }
+            return null;
         }
-        Confetti.cleanup();
     },
 
     /**
@@ -332,5 +1399,15 @@ Module.register("MMM-Birthday", {
                 module.style.transition = 'filter 0.5s ease-in-out';
             }
         });
+    },
+
+    /**
+     * @function restoreOtherModules
+     * @description Restores the brightness of the other modules
+     */
+    restoreOtherModules: function() {
+        document.querySelectorAll('.module').forEach(module => {
+            module.style.filter = '';
+        });
     }
 });
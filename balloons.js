@@ -0,0 +1,72 @@
+/**
+ * @file balloons.js
+ * @description Rising balloons effect for MMM-Birthday module
+ * @author Christian Gillinger
+ * @license MIT
+ * @version 1.0.0
+ *
+ * Balloons drift up from the bottom of the screen, swaying gently on their strings.
+ */
+
+(function() {
+    const defaultColors = ['#ff718d', '#fdff6a', '#58cffb', '#7b52ff', '#f4a261'];
+
+    BirthdayEffects.register("balloons", BirthdayEffects.createParticleEffect({
+        rate: 1.5,
+
+        spawn: function(area, options) {
+            const colors = options.colors || defaultColors;
+            const radius = 25 + Math.random() * 15;
+            return {
+                x: Math.random() * area.width,
+                y: area.height + radius * 4,
+                radius: radius,
+                speed: 1 + Math.random() * 1.2,
+                sway: Math.random() * Math.PI * 2,
+                swaySpeed: 0.01 + Math.random() * 0.02,
+                color: colors[Math.floor(Math.random() * colors.length)]
+            };
+        },
+
+        update: function(balloon, step) {
+            balloon.y -= balloon.speed * step;
+            balloon.sway += balloon.swaySpeed * step;
+            balloon.x += Math.sin(balloon.sway) * 0.6 * step;
+            return balloon.y > -balloon.radius * 4;
+        },
+
+        draw: function(ctx, balloon) {
+            const { x, y, radius } = balloon;
+
+            // String, curving with the sway
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, y + radius * 1.2);
+            ctx.quadraticCurveTo(x - Math.sin(balloon.sway) * 10, y + radius * 2, x, y + radius * 3);
+            ctx.stroke();
+
+            // Knot
+            ctx.fillStyle = balloon.color;
+            ctx.beginPath();
+            ctx.moveTo(x, y + radius * 1.1);
+            ctx.lineTo(x - 5, y + radius * 1.3);
+            ctx.lineTo(x + 5, y + radius * 1.3);
+            ctx.closePath();
+            ctx.fill();
+
+            // Balloon with a highlight when glow is allowed
+            if (PerformanceGovernor.useGlow()) {
+                const gradient = ctx.createRadialGradient(x - radius * 0.3, y - radius * 0.4, radius * 0.1, x, y, radius * 1.2);
+                gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
+                gradient.addColorStop(0.3, balloon.color);
+                gradient.addColorStop(1, balloon.color);
+                ctx.fillStyle = gradient;
+            }
+            ctx.globalAlpha = 0.9;
+            ctx.beginPath();
+            ctx.ellipse(x, y, radius, radius * 1.2, 0, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }));
+})();
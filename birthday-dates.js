@@ -0,0 +1,443 @@
+/**
+ * @file birthday-dates.js
+ * @description Date parsing and matching helpers for MMM-Birthday module
+ * @author Christian Gillinger
+ * @license MIT
+ * @version 1.0.0
+ *
+ * Parses the birthday date formats accepted in the module configuration
+ * (MM-DD, MM-DD HH:mm, YYYY-MM-DD and YYYY-MM-DD HH:mm) and answers
+ * questions such as "does this birthday occur today" and "from when".
+ * Birthdays kept in the Chinese lunar, Hebrew or Islamic calendar are
+ * converted to Gregorian days with the runtime's Intl calendar support.
+ * February 29 birthdays follow the leap-day policy in other years.
+ * Gives the wall-clock time in other time zones for relatives abroad, and
+ * checks daily time windows such as quiet hours.
+ */
+
+const BirthdayDates = (function() {
+    // Optional year, month, day and optional time of day
+    const datePattern = /^(?:(\d{4})-)?(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2}))?$/;
+    const timePattern = /^(\d{1,2}):(\d{2})$/;
+
+    // Calendars a birthday can be kept in, with the Intl calendar used for conversion
+    const calendars = {
+        'gregorian': null,
+        'chinese-lunar': 'chinese',
+        'hebrew': 'hebrew',
+        'islamic': 'islamic-umalqura',
+        'islamic-civil': 'islamic-civil'
+    };
+    // Hebrew months counted from Tishri; Adar I only exists in leap years, when Adar becomes Adar II
+    const hebrewMonths = {
+        'Tishri': 1, 'Heshvan': 2, 'Kislev': 3, 'Tevet': 4, 'Shevat': 5, 'Adar': 6, 'Adar II': 6,
+        'Nisan': 7, 'Iyar': 8, 'Sivan': 9, 'Tamuz': 10, 'Av': 11, 'Elul': 12, 'Adar I': 13
+    };
+    const formatters = {};
+    const zoneFormatters = {};
+    const conversions = new Map();  // Converted days, keyed by calendar and Gregorian date
+
+    // When February 29 birthdays are celebrated outside leap years
+    const leapDayPolicies = ['feb28', 'mar1', 'leapYears'];
+    let leapDayPolicy = 'feb28';
+
+    /**
+     * @function minutesOfDay
+     * @description Converts a "HH:mm" time of day to minutes since midnight
+     * @param {string} value - Time such as "07:30"
+     * @returns {number} Minutes since midnight
+     * @throws {Error} If the value is not a valid time
+     */
+    function minutesOfDay(value) {
+        const match = typeof value === 'string' && value.trim().match(timePattern);
+        if (!match || parseInt(match[1], 10) > 24 || parseInt(match[2], 10) > 59) {
+            throw new Error(`invalid time "${value}", expected "HH:mm"`);
+        }
+        return Math.min(24 * 60, parseInt(match[1], 10) * 60 + parseInt(match[2], 10));
+    }
+
+    /**
+     * @function isLeapYear
+     * @description Checks whether a year is a Gregorian leap year
+     * @param {number} year - Full year
+     * @returns {boolean} True for leap years
+     */
+    function isLeapYear(year) {
+        return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    }
+
+    /**
+     * @function daysInMonth
+     * @description Returns the number of days in a month
+     * @param {number} month - Month number (1-12)
+     * @param {number|null} year - Full year, or null to allow Feb 29
+     * @returns {number} Number of days
+     */
+    function daysInMonth(month, year) {
+        if (month === 2) {
+            return year === null || isLeapYear(year) ? 29 : 28;
+        }
+        return [4, 6, 9, 11].includes(month) ? 30 : 31;
+    }
+
+    /**
+     * @function observedDay
+     * @description Determines the day a Gregorian birthday is celebrated in a year
+     * @param {Object} date - Parsed birthday date, with the month and day of leap years as leapYear if they differ
+     * @param {number} year - Full year
+     * @returns {Object|null} Month and day, or null when a February 29 birthday is skipped that year
+     */
+    function observedDay(date, year) {
+        if (date.leapYear && isLeapYear(year)) {
+            return { month: date.leapYear.month, day: date.leapYear.day };
+        }
+        if (date.month === 2 && date.day === 29 && !isLeapYear(year)) {
+            if (leapDayPolicy === 'feb28') {
+                return { month: 2, day: 28 };
+            }
+            return leapDayPolicy === 'mar1' ? { month: 3, day: 1 } : null;
+        }
+        return { month: date.month, day: date.day };
+    }
+
+    /**
+     * @function getFormatter
+     * @description Creates (once) the Intl formatter that converts days to a calendar
+     * @param {string} calendar - Intl calendar, e.g. "hebrew"
+     * @returns {Intl.DateTimeFormat} Formatter giving the year, month and day in that calendar
+     * @throws {Error} If the runtime does not support the calendar
+     */
+    function getFormatter(calendar) {
+        if (!formatters[calendar]) {
+            const formatter = new Intl.DateTimeFormat(`en-u-ca-${calendar}`, {
+                year: 'numeric', month: 'numeric', day: 'numeric', timeZone: 'UTC'
+            });
+            if (formatter.resolvedOptions().calendar !== calendar) {
+                throw new Error(`the ${calendar} calendar is not supported by this system`);
+            }
+            formatters[calendar] = formatter;
+        }
+        return formatters[calendar];
+    }
+
+    /**
+     * @function convert
+     * @description Converts a Gregorian day to a calendar date
+     * @param {Date} day - Day to convert, time of day is ignored
+     * @param {string} name - Calendar name, a key of calendars other than "gregorian"
+     * @returns {Object} Year, month and day in the calendar, and whether the month is a leap month
+     */
+    function convert(day, name) {
+        const key = `${name}|${day.getFullYear()}-${day.getMonth() + 1}-${day.getDate()}`;
+        if (!conversions.has(key)) {
+            const parts = {};
+            getFormatter(calendars[name])
+                .formatToParts(Date.UTC(day.getFullYear(), day.getMonth(), day.getDate(), 12))
+                .forEach(part => { parts[part.type] = part.value; });
+
+            // The Chinese calendar counts years by the Gregorian year they start in and marks leap months with "bis"
+            conversions.set(key, {
+                year: parseInt(parts.relatedYear || parts.year, 10),
+                month: name === 'hebrew' ? hebrewMonths[parts.month] : parseInt(parts.month, 10),
+                day: parseInt(parts.day, 10),
+                leapMonth: /bis$/.test(parts.month)
+            });
+        }
+        return conversions.get(key);
+    }
+
+    /**
+     * @function getZoneFormatter
+     * @description Creates (once) the Intl formatter giving the wall-clock time in a time zone
+     * @param {string} timeZone - IANA time zone, e.g. "Australia/Sydney"
+     * @returns {Intl.DateTimeFormat} Formatter with numeric date and 24-hour time parts
+     * @throws {RangeError} If the time zone is unknown
+     */
+    function getZoneFormatter(timeZone) {
+        if (!zoneFormatters[timeZone]) {
+            zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone, hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+            });
+        }
+        return zoneFormatters[timeZone];
+    }
+
+    /**
+     * @function isHebrewLeapYear
+     * @description Checks whether a Hebrew year has the extra month Adar I
+     * @param {number} year - Hebrew year
+     * @returns {boolean} True for leap years
+     */
+    function isHebrewLeapYear(year) {
+        return (7 * year + 1) % 19 < 7;
+    }
+
+    /**
+     * @function occursOnCalendar
+     * @description Checks whether a birthday kept in another calendar falls on a Gregorian day
+     * @param {Object} date - Parsed birthday date
+     * @param {Date} day - Day to compare against
+     * @returns {boolean} True if the day has the birthday's month and day in its calendar
+     */
+    function occursOnCalendar(date, day) {
+        const today = convert(day, date.calendar);
+
+        // Birthdays are kept in the regular month, not in a leap month of the same number
+        if (today.leapMonth) {
+            return false;
+        }
+        const month = date.month === 13 && !isHebrewLeapYear(today.year) ? hebrewMonths['Adar'] : date.month;
+        if (today.month !== month) {
+            return false;
+        }
+        if (today.day === date.day) {
+            return true;
+        }
+
+        // Months have 29 or 30 days; a 30th missing this year falls on the month's last day
+        const tomorrow = convert(new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1), date.calendar);
+        return today.day < date.day && tomorrow.day === 1;
+    }
+
+    /**
+     * @function calendarYear
+     * @description Returns the year of a day in a calendar
+     * @param {Date} day - Gregorian day
+     * @param {string} [calendar="gregorian"] - Calendar name
+     * @returns {number} Year in that calendar
+     */
+    function calendarYear(day, calendar = 'gregorian') {
+        return calendars[calendar] ? convert(day, calendar).year : day.getFullYear();
+    }
+
+    return {
+        isLeapYear: isLeapYear,
+        calendarYear: calendarYear,
+        calendars: Object.keys(calendars),
+        leapDayPolicies: leapDayPolicies,
+
+        /**
+         * @function setLeapDayPolicy
+         * @description Chooses when February 29 birthdays are celebrated outside leap years
+         * @param {string} policy - "feb28", "mar1" or "leapYears" (only in leap years)
+         * @throws {Error} If the policy is unknown
+         */
+        setLeapDayPolicy: function(policy) {
+            if (!leapDayPolicies.includes(policy)) {
+                throw new Error(`unknown leapDayPolicy "${policy}", expected one of ${leapDayPolicies.join(', ')}`);
+            }
+            leapDayPolicy = policy;
+        },
+
+        /**
+         * @function parse
+         * @description Parses a configured birthday date string
+         * @param {string} value - Date in MM-DD, MM-DD HH:mm, YYYY-MM-DD or YYYY-MM-DD HH:mm format
+         * @param {string} [calendar="gregorian"] - Calendar the date is given in, one of calendars
+         * @returns {Object} Parsed date with year (or null), month, day, hour, minute and calendar
+         * @throws {Error} If the value is missing or malformed
+         */
+        parse: function(value, calendar) {
+            calendar = calendar || 'gregorian';
+            if (!Object.prototype.hasOwnProperty.call(calendars, calendar)) {
+                throw new Error(`unknown calendar "${calendar}", expected one of ${Object.keys(calendars).join(', ')}`);
+            }
+            if (typeof value !== 'string' || value.trim() === '') {
+                throw new Error('missing date, expected "MM-DD", "MM-DD HH:mm" or "YYYY-MM-DD"');
+            }
+
+            const match = value.trim().match(datePattern);
+            if (!match) {
+                throw new Error(`malformed date "${value}", expected "MM-DD", "MM-DD HH:mm" or "YYYY-MM-DD"`);
+            }
+
+            const year = match[1] ? parseInt(match[1], 10) : null;
+            const month = parseInt(match[2], 10);
+            const day = parseInt(match[3], 10);
+            const hasTime = match[4] !== undefined;
+            const hour = hasTime ? parseInt(match[4], 10) : 0;
+            const minute = hasTime ? parseInt(match[5], 10) : 0;
+
+            // Other calendars have months of 29 or 30 days, the Hebrew one a 13th month (Adar I)
+            const gregorian = calendar === 'gregorian';
+            if (month < 1 || month > (calendar === 'hebrew' ? 13 : 12)) {
+                throw new Error(`invalid month in "${value}"`);
+            }
+            if (day < 1 || day > (gregorian ? daysInMonth(month, year) : 30)) {
+                throw new Error(`invalid day in "${value}"`);
+            }
+            if (hour > 23 || minute > 59) {
+                throw new Error(`invalid time in "${value}"`);
+            }
+            if (year !== null && year > calendarYear(new Date(), calendar)) {
+                throw new Error(`birth year in "${value}" is in the future`);
+            }
+
+            return { year, month, day, hour, minute, hasTime, calendar };
+        },
+
+        /**
+         * @function applyYear
+         * @description Sets a birth year given apart from the date, as in an entry's year field
+         * @param {Object} date - Parsed birthday date
+         * @param {*} value - Year in the date's calendar; undefined, null or empty for none
+         * @returns {Object} The date, with the year set
+         * @throws {Error} If the year is not a whole number, lies in the future, differs from the
+         *   date's own year, or is not a leap year for a February 29 birthday
+         */
+        applyYear: function(date, value) {
+            if (value === undefined || value === null || value === '') {
+                return date;
+            }
+            const year = Number(value);
+            if (!Number.isInteger(year) || year > calendarYear(new Date(), date.calendar)) {
+                throw new Error(`invalid year "${value}"`);
+            }
+            if (date.year !== null && date.year !== year) {
+                throw new Error(`year ${year} does not match the date's year ${date.year}`);
+            }
+            if (date.calendar === 'gregorian' && date.month === 2 && date.day === 29 && !isLeapYear(year)) {
+                throw new Error(`${year} is not a leap year`);
+            }
+            date.year = year;
+            return date;
+        },
+
+        /**
+         * @function occursOn
+         * @description Checks whether a parsed birthday falls on the given day
+         * @param {Object} date - Parsed birthday date
+         * @param {Date} day - Day to compare against
+         * @returns {boolean} True if month and day match, or the day is the leap-day policy's replacement
+         */
+        occursOn: function(date, day) {
+            if (calendars[date.calendar]) {
+                return occursOnCalendar(date, day);
+            }
+            const observed = observedDay(date, day.getFullYear());
+            return observed !== null && observed.month === day.getMonth() + 1 && observed.day === day.getDate();
+        },
+
+        /**
+         * @function startOn
+         * @description Returns the moment the celebration starts on the given day
+         * @param {Object} date - Parsed birthday date
+         * @param {Date} day - Day of the celebration
+         * @returns {Date} Configured time of day, or midnight when no time is set
+         */
+        startOn: function(date, day) {
+            return new Date(day.getFullYear(), day.getMonth(), day.getDate(), date.hour, date.minute);
+        },
+
+        /**
+         * @function nextOccurrence
+         * @description Finds the next day a parsed birthday occurs, today included
+         * @param {Object} date - Parsed birthday date
+         * @param {Date} from - Day to start searching from
+         * @returns {Date} Midnight of the next occurrence
+         */
+        nextOccurrence: function(date, from) {
+            let year = from.getFullYear();
+            const today = new Date(year, from.getMonth(), from.getDate());
+
+            // Dates in other calendars move every Gregorian year, but recur within 385 days
+            if (calendars[date.calendar]) {
+                for (let offset = 0; offset <= 385; offset++) {
+                    const day = new Date(year, from.getMonth(), from.getDate() + offset);
+                    if (occursOnCalendar(date, day)) {
+                        return day;
+                    }
+                }
+                throw new Error(`no ${date.calendar} date ${date.month}-${date.day} within a year`);
+            }
+
+            // Skip years where the date is not celebrated (Feb 29) or has already passed
+            let observed = observedDay(date, year);
+            while (observed === null || new Date(year, observed.month - 1, observed.day) < today) {
+                year++;
+                observed = observedDay(date, year);
+            }
+            return new Date(year, observed.month - 1, observed.day);
+        },
+
+        /**
+         * @function yearsOn
+         * @description Counts the years since the birth year on a day, in the birthday's calendar
+         * @param {Object} date - Parsed birthday date
+         * @param {Date} day - Day of the birthday
+         * @returns {number|null} Age or years, null when the birth year is unknown
+         */
+        yearsOn: function(date, day) {
+            return date.year !== null ? calendarYear(day, date.calendar) - date.year : null;
+        },
+
+        /**
+         * @function inTimeZone
+         * @description Gives the wall-clock time of a moment in a time zone
+         * @param {Date} date - Moment
+         * @param {string} [timeZone] - IANA time zone such as "Australia/Sydney", none for the mirror's own
+         * @returns {Date} Date whose local year, month, day and time are those in the time zone
+         * @throws {RangeError} If the time zone is unknown
+         */
+        inTimeZone: function(date, timeZone) {
+            if (!timeZone) {
+                return date;
+            }
+            const parts = {};
+            getZoneFormatter(timeZone).formatToParts(date).forEach(part => { parts[part.type] = parseInt(part.value, 10); });
+            return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        },
+
+        /**
+         * @function isTimeZone
+         * @description Checks whether the runtime knows a time zone
+         * @param {string} timeZone - IANA time zone name
+         * @returns {boolean} True if the time zone can be used
+         */
+        isTimeZone: function(timeZone) {
+            if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+                return false;
+            }
+            try {
+                getZoneFormatter(timeZone);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        /**
+         * @function isWithinHours
+         * @description Checks whether a moment falls in a daily time window, which may span midnight
+         * @param {Date} date - Moment to check
+         * @param {Object} hours - Window with start and end as "HH:mm", e.g. { start: "22:00", end: "07:00" }
+         * @returns {boolean} True from start (inclusive) to end (exclusive)
+         * @throws {Error} If start or end is not a valid time
+         */
+        isWithinHours: function(date, hours) {
+            const start = minutesOfDay(hours && hours.start);
+            const end = minutesOfDay(hours && hours.end);
+            const minutes = date.getHours() * 60 + date.getMinutes();
+            return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+        },
+
+        /**
+         * @function daysBetween
+         * @description Counts calendar days between two dates, ignoring time of day
+         * @param {Date} from - Start date
+         * @param {Date} to - End date
+         * @returns {number} Number of days from start to end
+         */
+        daysBetween: function(from, to) {
+            const start = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+            const end = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+            return Math.round((end - start) / 86400000);
+        }
+    };
+})();
+
+// Shared with the node helper for validating birthdays
+if (typeof module !== 'undefined') {
+    module.exports = BirthdayDates;
+}
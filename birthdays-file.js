@@ -0,0 +1,117 @@
+/**
+ * @file birthdays-file.js
+ * @description JSON and CSV birthday list reader for MMM-Birthday module
+ * @author Christian Gillinger
+ * @license MIT
+ * @version 1.0.0
+ *
+ * Parses the external birthdays file configured with `birthdaysFile`.
+ * JSON files hold an array of entries; CSV files hold one entry per row.
+ */
+
+/**
+ * @function parseCsvLine
+ * @description Splits one CSV row into fields, honouring double quotes
+ * @param {string} line - CSV row
+ * @param {string} separator - Field separator ("," or ";")
+ * @returns {Array} Field values
+ */
+function parseCsvLine(line, separator) {
+    const fields = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            fields.push(field.trim());
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`unterminated quote in "${line}"`);
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * @function parseCsv
+ * @description Parses CSV text with an optional "name,date,..." header row
+ * @param {string} text - CSV file contents
+ * @returns {Array} Birthday entries
+ */
+function parseCsv(text) {
+    const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/).filter(line => line.trim() !== "" && !line.startsWith("#"));
+    if (lines.length === 0) {
+        return [];
+    }
+
+    // Spreadsheets in many locales export with semicolons
+    const separator = lines[0].includes(";") && !lines[0].includes(",") ? ";" : ",";
+    const first = parseCsvLine(lines[0], separator).map(field => field.toLowerCase());
+    const hasHeader = first.includes("name") && first.includes("date");
+    const columns = hasHeader ? first : ["name", "date", "year"];
+
+    return lines.slice(hasHeader ? 1 : 0).map((line, index) => {
+        const fields = parseCsvLine(line, separator);
+        const entry = {};
+        columns.forEach((column, i) => {
+            if (column && fields[i] !== undefined && fields[i] !== "") {
+                entry[column] = fields[i];
+            }
+        });
+        if (!entry.name || !entry.date) {
+            throw new Error(`row ${index + (hasHeader ? 2 : 1)} needs a name and a date`);
+        }
+        return entry;
+    });
+}
+
+/**
+ * @function parseJson
+ * @description Parses a JSON array of entries, or an object with a "birthdays" array
+ * @param {string} text - JSON file contents
+ * @returns {Array} Birthday entries
+ */
+function parseJson(text) {
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data) ? data : data && data.birthdays;
+    if (!Array.isArray(entries)) {
+        throw new Error('expected an array of birthdays or an object with a "birthdays" array');
+    }
+    entries.forEach((entry, index) => {
+        if (!entry || typeof entry !== "object") {
+            throw new Error(`entry ${index + 1} is not an object`);
+        }
+    });
+    return entries;
+}
+
+/**
+ * @function parse
+ * @description Parses a birthdays file, choosing the format by file extension
+ * @param {string} text - File contents
+ * @param {string} file - File name, ".csv" files are read as CSV, anything else as JSON
+ * @returns {Array} Birthday entries
+ * @throws {Error} If the file is malformed
+ */
+function parse(text, file) {
+    return /\.csv$/i.test(file) ? parseCsv(text) : parseJson(text);
+}
+
+module.exports = { parse };
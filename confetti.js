@@ -3,16 +3,105 @@
  * @description Local implementation of confetti effect for MMM-Birthday module
  * @author Christian Gillinger
  * @license MIT
- * @version 1.2.3
+ * @version 1.3.0
  * 
  * This module creates a canvas-based confetti animation system with physics simulation
- * and particle management. Designed for optimal performance with dual-cannon effects.
+ * and particle management. Particle count, physics, shapes, cannon layout and burst
+ * cadence can be configured through the settings of the "confetti" effect.
  */
 
 const Confetti = (function() {
     // Enhanced color palette for vibrant visual effects
     const defaultColors = ['#ff718d', '#fdff6a', '#58cffb', '#ffffff', '#7b52ff'];
 
+    /**
+     * @description Default settings, each can be overridden in the effect configuration
+     */
+    const defaults = {
+        particleCount: 15,       // Particles per cannon and burst
+        velocity: 45,
+        spread: 20,              // Spread of the launch angle in degrees
+        gravity: 0.25,
+        drag: 0.045,
+        shapes: ["rectangle"],   // "rectangle", "circle", "star", "heart", or any text or emoji
+        cannons: "corners",      // "corners", "top", "center", or a list of cannons
+        burstInterval: [2000, 8000] // Delay between bursts in ms, fixed or random between [min, max]
+    };
+
+    /**
+     * @description Cannon layouts: position as fractions of the screen, launch angle in degrees
+     * (0 is right, -90 is up), and optionally their own spread, width and power (velocity factor)
+     */
+    const cannonLayouts = {
+        corners: [
+            { x: 0.15, y: 1, angle: -45 },
+            { x: 0.85, y: 1, angle: -135 }
+        ],
+        top: [
+            { x: 0.5, y: 0, angle: 90, spread: 40, width: 1, power: 0.1 }
+        ],
+        center: [
+            { x: 0.5, y: 0.5, angle: -90, spread: 360, power: 0.4 }
+        ]
+    };
+
+    const shapeNames = ["rectangle", "circle", "star", "heart"];
+
+    // Shortest delay between bursts, so a small or zero interval cannot keep a slow device busy
+    const minBurstInterval = 250;
+    const maxParticleCount = 200;
+
+    // Allowed [min, max] of the other numeric settings that are limited
+    const settingRanges = {
+        velocity: [0, Infinity],
+        gravity: [0, Infinity],
+        drag: [0, 1]
+    };
+    const reported = new Set();
+
+    /**
+     * @function isValidSetting
+     * @description Checks a configured setting that must be a number within its range, or for burstInterval
+     *   a number or [min, max]
+     * @param {string} key - Setting name
+     * @param {*} value - Configured value
+     * @returns {boolean} True if the value can be used
+     */
+    function isValidSetting(key, value) {
+        const isNumber = number => typeof number === 'number' && Number.isFinite(number);
+        if (key === 'burstInterval') {
+            const interval = [].concat(value);
+            return interval.length >= 1 && interval.length <= 2 && interval.every(isNumber) &&
+                interval[0] >= minBurstInterval && (interval.length === 1 || interval[1] >= interval[0]);
+        }
+        if (key === 'particleCount') {
+            return isNumber(value) && value > 0 && value <= maxParticleCount;
+        }
+        if (settingRanges[key]) {
+            return isNumber(value) && value >= settingRanges[key][0] && value <= settingRanges[key][1];
+        }
+        return typeof defaults[key] !== 'number' || isNumber(value);
+    }
+
+    /**
+     * @function getCannons
+     * @description Resolves the configured cannon layout
+     * @param {string|Array} cannons - Layout name, or a list of cannons with x, y and angle
+     * @returns {Array} Cannons to fire from
+     */
+    function getCannons(cannons) {
+        if (Array.isArray(cannons)) {
+            const valid = cannons.filter(cannon => cannon && typeof cannon.x === 'number' && typeof cannon.y === 'number');
+            if (valid.length > 0) {
+                return valid;
+            }
+        } else if (cannonLayouts[cannons]) {
+            return cannonLayouts[cannons];
+        }
+        Log.warn(`[MMM-Birthday] Unknown confetti cannons ${JSON.stringify(cannons)}, using "corners"`);
+        return cannonLayouts.corners;
+    }
+
     /**
      * @description Canvas setup for rendering confetti
      */
@@ -36,30 +125,31 @@ const Confetti = (function() {
          * @constructor
          * @param {CanvasRenderingContext2D} context - Canvas rendering context
          * @param {Object} options - Particle configuration options
+         * @param {Object} cannon - Cannon the particle is fired from
          */
-        constructor(context, options) {
+        constructor(context, options, cannon) {
             this.context = context;
             
-            // Position setup with cannon placement offsets
-            const cannonOffset = options.isLeftCannon ? width * 0.15 : width * 0.85;
-            this.x = cannonOffset;
-            this.y = height - 20; // Launch point slightly above bottom
+            // Position setup with cannon placement, launch point slightly above bottom
+            this.x = (cannon.x + (Math.random() - 0.5) * (cannon.width || 0)) * width;
+            this.y = Math.min(cannon.y * height, height - 20);
             
             // Calculate launch angle for realistic arc
-            const baseAngle = options.isLeftCannon ? -45 : -135;
+            const baseAngle = cannon.angle !== undefined ? cannon.angle : -90;
             const angleVariation = (Math.random() - 0.5) * 20;
-            const spreadAngle = (Math.random() - 0.5) * options.spread;
+            const spreadAngle = (Math.random() - 0.5) * (cannon.spread !== undefined ? cannon.spread : options.spread);
             this.angle = ((baseAngle + angleVariation + spreadAngle) * Math.PI) / 180;
             
             // Physics properties for natural movement
-            this.velocity = options.velocity * (0.95 + Math.random() * 0.25);
-            this.gravity = 0.25;
-            this.drag = 0.045;
+            this.velocity = options.velocity * (cannon.power || 1) * (0.95 + Math.random() * 0.25);
+            this.gravity = options.gravity;
+            this.drag = options.drag;
             this.wobble = Math.random() * 360;
             this.wobbleSpeed = Math.random() * 2 - 1;
             
             // Visual properties
             this.color = options.colors[Math.floor(Math.random() * options.colors.length)];
+            this.shape = options.shapes[Math.floor(Math.random() * options.shapes.length)];
             this.size = Math.random() * 6 + 4;
             this.opacity = 1;
             
@@ -108,18 +198,64 @@ const Confetti = (function() {
             context.globalCompositeOperation = 'lighter';
             context.globalAlpha = this.opacity;
             
-            // Create gradient for 3D effect
-            const gradient = context.createLinearGradient(-this.size/2, 0, this.size/2, 0);
-            gradient.addColorStop(0, this.color);
-            gradient.addColorStop(1, this.adjustColor(this.color, 20));
-            context.fillStyle = gradient;
+            // Create gradient for 3D effect, flat color when the governor turns glow off
+            if (PerformanceGovernor.useGlow()) {
+                const gradient = context.createLinearGradient(-this.size/2, 0, this.size/2, 0);
+                gradient.addColorStop(0, this.color);
+                gradient.addColorStop(1, this.adjustColor(this.color, 20));
+                context.fillStyle = gradient;
+            } else {
+                context.fillStyle = this.color;
+            }
             
-            // Draw elongated rectangle for better visibility
-            context.fillRect(-this.size/2, -this.size/4, this.size, this.size/2);
+            this.drawShape(context);
             
             context.restore();
         }
 
+        /**
+         * @function drawShape
+         * @description Draws the particle's shape centered on the origin
+         * @param {CanvasRenderingContext2D} context - Canvas rendering context
+         */
+        drawShape(context) {
+            const size = this.size;
+            switch (this.shape) {
+                case "rectangle":
+                    // Elongated rectangle for better visibility
+                    context.fillRect(-size/2, -size/4, size, size/2);
+                    return;
+                case "circle":
+                    context.beginPath();
+                    context.arc(0, 0, size/2, 0, Math.PI * 2);
+                    context.fill();
+                    return;
+                case "star":
+                    context.beginPath();
+                    for (let i = 0; i < 10; i++) {
+                        const radius = i % 2 === 0 ? size * 0.6 : size * 0.25;
+                        const angle = (i * Math.PI) / 5 - Math.PI / 2;
+                        context.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+                    }
+                    context.closePath();
+                    context.fill();
+                    return;
+                case "heart":
+                    context.beginPath();
+                    context.moveTo(0, size * 0.35);
+                    context.bezierCurveTo(-size * 0.7, -size * 0.1, -size * 0.3, -size * 0.6, 0, -size * 0.25);
+                    context.bezierCurveTo(size * 0.3, -size * 0.6, size * 0.7, -size * 0.1, 0, size * 0.35);
+                    context.fill();
+                    return;
+                default:
+                    // Any other shape is drawn as text, e.g. an emoji
+                    context.font = `${Math.round(size * 2)}px sans-serif`;
+                    context.textAlign = 'center';
+                    context.textBaseline = 'middle';
+                    context.fillText(this.shape, 0, 0);
+            }
+        }
+
         /**
          * @function adjustColor
          * @description Creates color variations for visual depth
@@ -181,23 +317,48 @@ const Confetti = (function() {
             }
         },
 
+        /**
+         * @function getSettings
+         * @description Combines effect settings with the defaults
+         * @param {Object} [settings] - Effect settings, see defaults; colors replace the default palette
+         * @returns {Object} Complete settings
+         */
+        getSettings: function(settings) {
+            const options = { ...defaults };
+            Object.keys(defaults).forEach(key => {
+                if (!settings || settings[key] === undefined || settings[key] === null) {
+                    return;
+                }
+                if (isValidSetting(key, settings[key])) {
+                    options[key] = settings[key];
+                } else if (!reported.has(`${key} ${JSON.stringify(settings[key])}`)) {
+                    // Reported once, as the settings are read for every burst
+                    reported.add(`${key} ${JSON.stringify(settings[key])}`);
+                    Log.warn(`[MMM-Birthday] Invalid confetti ${key} ${JSON.stringify(settings[key])}, using ${JSON.stringify(defaults[key])}`);
+                }
+            });
+            options.colors = settings && settings.colors && settings.colors.length > 0 ? settings.colors : defaultColors;
+            options.shapes = [].concat(options.shapes).filter(shape => typeof shape === 'string' && shape !== '');
+            if (options.shapes.length === 0) {
+                options.shapes = defaults.shapes;
+            }
+            return options;
+        },
+
         /**
          * @function fire
-         * @description Triggers a new confetti burst
+         * @description Triggers a new confetti burst from every cannon
+         * @param {Object} [settings] - Effect settings, see getSettings
          */
-        fire: function() {
-            const particleCount = 15;
-            const options = {
-                colors: defaultColors,
-                velocity: 45,
-                spread: 20
-            };
+        fire: function(settings) {
+            const options = this.getSettings(settings);
+            const particleCount = Math.max(3, Math.round(options.particleCount * PerformanceGovernor.getScale()));
 
-            // Create particles for both cannons
-            for (let i = 0; i < particleCount; i++) {
-                particles.push(new Particle(ctx, { ...options, isLeftCannon: true }));
-                particles.push(new Particle(ctx, { ...options, isLeftCannon: false }));
-            }
+            getCannons(options.cannons).forEach(cannon => {
+                for (let i = 0; i < particleCount; i++) {
+                    particles.push(new Particle(ctx, options, cannon));
+                }
+            });
 
             if (!isAnimating) {
                 isAnimating = true;
@@ -221,3 +382,37 @@ const Confetti = (function() {
         }
     };
 })();
+
+// Confetti bursts from the cannons every few seconds
+BirthdayEffects.register("confetti", (function() {
+    let burstTimer = null;
+
+    return {
+        init: Confetti.init,
+        start: function(options) {
+            // A fixed delay, or a random one between [min, max]
+            const interval = [].concat(Confetti.getSettings(options).burstInterval);
+            const minDelay = interval[0];
+            const maxDelay = interval.length > 1 ? interval[1] : interval[0];
+            const fireBurst = () => {
+                Confetti.fire(options);
+                // Random delay between bursts, longer when the governor scales down
+                const nextDelay = (minDelay + Math.random() * Math.max(0, maxDelay - minDelay)) / Math.min(1, PerformanceGovernor.getScale());
+                burstTimer = setTimeout(fireBurst, nextDelay);
+            };
+
+            // Start first burst after initial delay
+            clearTimeout(burstTimer);
+            burstTimer = setTimeout(fireBurst, 1000);
+        },
+        stop: function() {
+            clearTimeout(burstTimer);
+            burstTimer = null;
+        },
+        cleanup: function() {
+            clearTimeout(burstTimer);
+            burstTimer = null;
+            Confetti.cleanup();
+        }
+    };
+})());
@@ -0,0 +1,31 @@
+/**
+ * @file content-lines.js
+ * @description Content line helpers shared by the vCard and iCalendar readers of MMM-Birthday module
+ * @author Christian Gillinger
+ * @license MIT
+ * @version 1.0.0
+ *
+ * vCard and iCalendar files fold long lines and escape text values the same way.
+ */
+
+/**
+ * @function unfold
+ * @description Joins folded content lines (continuations start with a space or tab)
+ * @param {string} text - Raw vCard or iCalendar text
+ * @returns {Array} Unfolded content lines
+ */
+function unfold(text) {
+    return text.replace(/\r\n?/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+}
+
+/**
+ * @function unescapeValue
+ * @description Resolves vCard and iCalendar text escapes
+ * @param {string} value - Escaped property value
+ * @returns {string} Plain text value
+ */
+function unescapeValue(value) {
+    return value.replace(/\\([\\,;nN])/g, (match, char) => (char.toLowerCase() === "n" ? " " : char));
+}
+
+module.exports = { unfold, unescapeValue };
@@ -0,0 +1,175 @@
+/**
+ * @file effects.js
+ * @description Celebration effect registry for MMM-Birthday module
+ * @author Christian Gillinger
+ * @license MIT
+ * @version 1.0.0
+ *
+ * Every celebration effect (fireworks, confetti, balloons, ...) registers itself
+ * here under a name and implements the same interface:
+ *
+ *   init()           - prepares the effect, called before every start
+ *   start(options)   - starts the effect; options hold the colors and the
+ *                      effect's own settings from the configuration
+ *   stop()           - stops creating new particles, letting the rest finish
+ *   cleanup()        - removes the effect from the screen immediately
+ *
+ * The module decides which effects run, in which order and for how long.
+ */
+
+const BirthdayEffects = (function() {
+    const effects = {};
+
+    /**
+     * @function createParticleEffect
+     * @description Builds a canvas effect that creates particles at a steady rate
+     * @param {Object} definition - Effect behavior:
+     *   rate: particles per second at full scale, can be overridden with a "rate" setting,
+     *   spawn(area, options): returns a new particle,
+     *   update(particle, step, area): moves a particle, returns false when it is finished,
+     *   draw(ctx, particle, options): renders a particle
+     * @returns {Object} Effect implementing init, start, stop and cleanup
+     */
+    function createParticleEffect(definition) {
+        let canvas = null;
+        let ctx = null;
+        const area = { width: 0, height: 0 };
+        let particles = [];
+        let options = {};
+        let running = false;
+        let pending = 0;       // Fractional particles carried over between frames
+        let lastFrame = 0;
+        let animationFrame = null;
+
+        const resize = () => {
+            area.width = canvas.width = window.innerWidth;
+            area.height = canvas.height = window.innerHeight;
+        };
+
+        const animate = (timestamp) => {
+            const elapsed = lastFrame ? Math.min(timestamp - lastFrame, 1000 / 15) : 1000 / 60;
+            const step = elapsed / (1000 / 60);
+            lastFrame = timestamp;
+
+            // Create particles at the configured rate, fewer when the governor scales down
+            if (running) {
+                const rate = typeof options.rate === 'number' ? options.rate : definition.rate;
+                pending += rate * PerformanceGovernor.getScale() * elapsed / 1000;
+                for (; pending >= 1; pending--) {
+                    particles.push(definition.spawn(area, options));
+                }
+            }
+
+            ctx.clearRect(0, 0, area.width, area.height);
+            particles = particles.filter(particle => {
+                if (!definition.update(particle, step, area)) {
+                    return false;
+                }
+                ctx.save();
+                definition.draw(ctx, particle, options);
+                ctx.restore();
+                return true;
+            });
+
+            // Keep running while creating particles, and until the last ones have finished
+            if (running || particles.length > 0) {
+                animationFrame = requestAnimationFrame(animate);
+            } else {
+                animationFrame = null;
+            }
+        };
+
+        return {
+            init: function() {
+                if (!canvas) {
+                    canvas = document.createElement('canvas');
+                    canvas.style.position = 'fixed';
+                    canvas.style.top = '0';
+                    canvas.style.left = '0';
+                    canvas.style.pointerEvents = 'none';
+                    canvas.style.zIndex = '999999';
+                    ctx = canvas.getContext('2d');
+                    window.addEventListener('resize', resize);
+                }
+                resize();
+                if (!document.body.contains(canvas)) {
+                    document.body.appendChild(canvas);
+                }
+            },
+
+            start: function(startOptions) {
+                options = startOptions;
+                running = true;
+                pending = 1;
+                if (!animationFrame) {
+                    lastFrame = 0;
+                    animationFrame = requestAnimationFrame(animate);
+                }
+            },
+
+            stop: function() {
+                running = false;
+            },
+
+            cleanup: function() {
+                running = false;
+                if (animationFrame) {
+                    cancelAnimationFrame(animationFrame);
+                    animationFrame = null;
+                }
+                particles = [];
+                if (canvas && canvas.parentNode) {
+                    ctx.clearRect(0, 0, area.width, area.height);
+                    canvas.parentNode.removeChild(canvas);
+                }
+            }
+        };
+    }
+
+    return {
+        createParticleEffect: createParticleEffect,
+
+        /**
+         * @function register
+         * @description Adds an effect to the registry, replacing one with the same name
+         * @param {string} name - Name used in the configuration
+         * @param {Object} effect - Effect implementing init, start, stop and cleanup
+         * @throws {Error} If the effect does not implement the interface
+         */
+        register: function(name, effect) {
+            ["init", "start", "stop", "cleanup"].forEach(method => {
+                if (!effect || typeof effect[method] !== 'function') {
+                    throw new Error(`effect "${name}" does not implement ${method}()`);
+                }
+            });
+            effects[name] = effect;
+        },
+
+        /**
+         * @function get
+         * @description Looks up a registered effect
+         * @param {string} name - Effect name
+         * @returns {Object|null} The effect, or null if none is registered under the name
+         */
+        get: function(name) {
+            return Object.prototype.hasOwnProperty.call(effects, name) ? effects[name] : null;
+        },
+
+        /**
+         * @function names
+         * @description Lists the registered effects
+         * @returns {Array} Effect names
+         */
+        names: function() {
+            return Object.keys(effects);
+        },
+
+        /**
+         * @function cleanupAll
+         * @description Removes every effect from the screen
+         */
+        cleanupAll: function() {
+            Object.values(effects).forEach(effect => effect.cleanup());
+        }
+    };
+})();
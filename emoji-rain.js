@@ -0,0 +1,46 @@
+/**
+ * @file emoji-rain.js
+ * @description Emoji rain effect for MMM-Birthday module
+ * @author Christian Gillinger
+ * @license MIT
+ * @version 1.0.0
+ *
+ * Party emoji tumble down from the top of the screen. The emoji can be
+ * chosen per effect with an "emojis" list in the effect's configuration.
+ */
+
+(function() {
+    const defaultEmojis = ['🎂', '🎉', '🎈', '🎁', '🥳', '🍰'];
+
+    BirthdayEffects.register("emojiRain", BirthdayEffects.createParticleEffect({
+        rate: 5,
+
+        spawn: function(area, options) {
+            const emojis = Array.isArray(options.emojis) && options.emojis.length > 0 ? options.emojis : defaultEmojis;
+            return {
+                emoji: emojis[Math.floor(Math.random() * emojis.length)],
+                x: Math.random() * area.width,
+                y: -50,
+                size: 24 + Math.random() * 24,
+                speed: 2 + Math.random() * 2,
+                rotation: Math.random() * Math.PI * 2,
+                spin: (Math.random() - 0.5) * 0.05
+            };
+        },
+
+        update: function(drop, step, area) {
+            drop.y += drop.speed * step;
+            drop.rotation += drop.spin * step;
+            return drop.y < area.height + drop.size;
+        },
+
+        draw: function(ctx, drop) {
+            ctx.translate(drop.x, drop.y);
+            ctx.rotate(drop.rotation);
+            ctx.font = `${Math.round(drop.size)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(drop.emoji, 0, 0);
+        }
+    }));
+})();
@@ -3,12 +3,22 @@
  * @description Fireworks effect implementation for MMM-Birthday module
  * @author Christian Gillinger
  * @license MIT
- * @version 1.1.0
- * 
+ * @version 2.4.0
+ *
  * This class creates an animated fireworks display using HTML5 Canvas.
  * It handles particle physics, color management, and animation timing.
- * 
+ * Particles are pooled and drawn in a single requestAnimationFrame loop,
+ * which keeps the effect smooth on low-powered devices such as a Raspberry Pi.
+ * Spark counts, launch rate and glow follow the PerformanceGovernor scale.
+ * Explosions come in several patterns, and a finale can spell out the
+ * birthday person's name or age in sparks.
+ *
  * Changelog:
+ * 2.4.0 - onExplode callback, used for explosion sound cues
+ * 2.3.0 - Explosion patterns (rings, hearts, stars, willows, crossettes) and name or age finale
+ * 2.2.0 - Registered as the "fireworks" effect; stop() lets the last sparks fade
+ * 2.1.0 - Spark count, launch rate and glow adapt to the measured frame rate
+ * 2.0.0 - Canvas renderer with particle pooling replaces DOM sparks
  * 1.1.0 - Added infinite duration support and improved performance
  * 1.0.0 - Initial release
  */
@@ -24,161 +34,155 @@ class Fireworks {
             '#ff0000', '#ffa500', '#ffff00', '#00ff00', '#00ffff',
             '#0000ff', '#ff00ff', '#ff1493', '#ffd700', '#00ff7f'
         ];
-        this.container = document.body;
-        this.particles = [];
-        this.endTime = Infinity;
-        this.createStyleSheet();
+        this.palette = this.colors;
+
+        // Physics settings, in pixels per frame at 60 fps
+        this.rocketGravity = 0.08;
+        this.sparkGravity = 0.04;
+        this.sparkFriction = 0.98;
+        this.sparksPerExplosion = 80;
+        this.maxPoolSize = 2000;
+
+        // Explosion patterns, and the finale spelling out a name or age
+        this.allPatterns = ['sphere', 'ring', 'doubleRing', 'heart', 'star', 'willow', 'crossette'];
+        this.patterns = this.allPatterns;
+        this.finaleText = '';
+        this.finaleInterval = null;
+        this.finaleLead = 6000;   // Time the finale needs to rise and fade, in ms
+        this.nextFinale = Infinity;
+        this.onExplode = null;    // Called with the rocket whenever one explodes
+
+        this.rockets = [];
+        this.sparks = [];
+        this.pool = [];  // Released sparks, reused to avoid garbage collection pauses
+        this.endTime = 0;
+        this.nextLaunch = 0;
+        this.lastFrame = 0;
+        this.animationFrame = null;
+
+        this.createCanvas();
     }
 
     /**
-     * @function createStyleSheet
-     * @description Creates and injects required CSS styles for animations
+     * @function createCanvas
+     * @description Creates the full-screen canvas the fireworks are drawn on
      */
-    createStyleSheet() {
-        if (!document.getElementById('fireworkStyles')) {
-            const style = document.createElement('style');
-            style.id = 'fireworkStyles';
-            // CSS definitions for rockets and sparks with animations
-            style.textContent = `
-                .rocket {
-                    position: fixed;
-                    width: 3px;
-                    height: 3px;
-                    border-radius: 50%;
-                    pointer-events: none;
-                    z-index: 999999;
-                }
-
-                .rocket::after {
-                    content: '';
-                    position: absolute;
-                    width: 2px;
-                    height: 20px;
-                    background: linear-gradient(to top, 
-                        rgba(255, 255, 255, 0.8) 0%,
-                        rgba(255, 200, 100, 0.5) 60%,
-                        rgba(255, 100, 50, 0.3) 100%);
-                    transform: translateY(3px);
-                }
+    createCanvas() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.position = 'fixed';
+        this.canvas.style.top = '0';
+        this.canvas.style.left = '0';
+        this.canvas.style.pointerEvents = 'none';
+        this.canvas.style.zIndex = '999999';
+        this.ctx = this.canvas.getContext('2d');
 
-                .spark {
-                    position: fixed;
-                    width: 4px;
-                    height: 4px;
-                    border-radius: 50%;
-                    pointer-events: none;
-                    z-index: 999999;
-                }
-
-                .spark::after {
-                    content: '';
-                    position: absolute;
-                    width: 100%;
-                    height: 100%;
-                    border-radius: 50%;
-                    filter: blur(1px);
-                }
+        this.resize();
+        window.addEventListener('resize', () => this.resize());
+    }
 
-                @keyframes rocketTrail {
-                    0% {
-                        opacity: 1;
-                        transform: translateY(0) scale(1);
-                    }
-                    70% {
-                        opacity: 1;
-                    }
-                    100% {
-                        opacity: 0;
-                        transform: translateY(-800px) scale(0.2);
-                    }
-                }
+    /**
+     * @function resize
+     * @description Matches the canvas size to the window
+     */
+    resize() {
+        this.width = this.canvas.width = window.innerWidth;
+        this.height = this.canvas.height = window.innerHeight;
+    }
 
-                @keyframes explode {
-                    0% {
-                        transform: scale(1);
-                        opacity: 1;
-                    }
-                    40% {
-                        opacity: 0.9;
-                    }
-                    100% {
-                        transform: scale(0);
-                        opacity: 0;
-                    }
-                }
+    /**
+     * @function acquireSpark
+     * @description Takes a spark from the pool, or creates one when the pool is empty
+     * @returns {Object} Spark particle
+     */
+    acquireSpark() {
+        return this.pool.pop() || {};
+    }
 
-                @keyframes sparkTrail {
-                    0% { 
-                        width: 0px;
-                        opacity: 0.8;
-                    }
-                    100% { 
-                        width: 20px;
-                        opacity: 0;
-                    }
-                }
-            `;
-            document.head.appendChild(style);
+    /**
+     * @function releaseSpark
+     * @description Returns a finished spark to the pool
+     * @param {Object} spark - Spark particle
+     */
+    releaseSpark(spark) {
+        if (this.pool.length < this.maxPoolSize) {
+            this.pool.push(spark);
         }
     }
 
     /**
-     * @function createRocket
-     * @description Creates a single rocket element with trail effect
-     * @param {number} x - Horizontal position of the rocket
-     * @returns {HTMLElement} The rocket element
+     * @function addSpark
+     * @description Adds a spark to the display
+     * @param {number} x - Start X coordinate
+     * @param {number} y - Start Y coordinate
+     * @param {number} vx - Horizontal velocity
+     * @param {number} vy - Vertical velocity
+     * @param {string} color - Spark color
+     * @param {number} decay - Alpha lost per frame
+     * @param {number} [gravity=1] - Factor for the spark gravity
+     * @returns {Object} The spark, for setting a split or a target
      */
-    createRocket(x) {
-        const rocket = document.createElement('div');
-        rocket.className = 'rocket';
-        rocket.style.left = x + 'px';
-        rocket.style.bottom = '0';
-        rocket.style.backgroundColor = '#fff';
-        rocket.style.boxShadow = '0 0 6px #fff, 0 0 12px #ff0';
-        rocket.style.animation = 'rocketTrail 1s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
-        return rocket;
+    addSpark(x, y, vx, vy, color, decay, gravity = 1) {
+        const spark = this.acquireSpark();
+        spark.x = spark.px = x;
+        spark.y = spark.py = y;
+        spark.vx = vx;
+        spark.vy = vy;
+        spark.color = color;
+        spark.alpha = 1;
+        spark.decay = decay;
+        spark.gravity = gravity;
+        spark.splits = false;   // Crossette sparks burst into four
+        spark.tx = null;        // Finale sparks move to a point of the text
+        spark.ty = null;
+        this.sparks.push(spark);
+        return spark;
     }
 
     /**
-     * @function createSpark
-     * @description Creates a spark particle for the explosion effect
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
-     * @param {string} color - Spark color in hex format
-     * @param {number} angle - Trajectory angle
-     * @param {number} velocity - Movement speed
-     * @returns {HTMLElement} The spark element
+     * @function getPatternVelocities
+     * @description Calculates the starting velocities of the sparks of an explosion
+     * @param {string} pattern - Explosion pattern
+     * @param {number} count - Number of sparks
+     * @returns {Array} Velocities as {vx, vy}, with inner set for the inner ring of a double ring
      */
-    createSpark(x, y, color, angle, velocity) {
-        const spark = document.createElement('div');
-        spark.className = 'spark';
-        spark.style.left = x + 'px';
-        spark.style.top = y + 'px';
-        spark.style.backgroundColor = color;
-        spark.style.boxShadow = `0 0 6px ${color}, 0 0 12px ${color}`;
-        
-        // Calculate spark trajectory
-        const rad = angle * Math.PI / 180;
-        const duration = 0.8 + Math.random() * 0.6;
-        const distance = velocity * (0.7 + Math.random() * 0.3);
-
-        spark.style.transform = `translate(${Math.cos(rad) * distance}px, ${Math.sin(rad) * distance}px)`;
-        spark.style.transition = `transform ${duration}s cubic-bezier(0.165, 0.84, 0.44, 1), opacity ${duration}s ease-out`;
-        
-        // Add trailing effect
-        const trail = document.createElement('div');
-        trail.style.position = 'absolute';
-        trail.style.height = '2px';
-        trail.style.background = `linear-gradient(to left, ${color}, transparent)`;
-        trail.style.animation = 'sparkTrail 0.2s linear forwards';
-        spark.appendChild(trail);
-
-        // Set fade out timing
-        setTimeout(() => {
-            spark.style.opacity = '0';
-        }, duration * 900);
+    getPatternVelocities(pattern, count) {
+        const velocities = [];
+        const turn = Math.PI * 2;
+        const tilt = Math.random() * turn;
 
-        return spark;
+        for (let i = 0; i < count; i++) {
+            const t = (i / count) * turn;
+
+            if (pattern === 'ring' || pattern === 'doubleRing') {
+                // Evenly spaced sparks at the same speed, every other one slower for a double ring
+                const inner = pattern === 'doubleRing' && i % 2 === 1;
+                const speed = inner ? 2 : 3.5;
+                velocities.push({ vx: Math.cos(t + tilt) * speed, vy: Math.sin(t + tilt) * speed, inner });
+            } else if (pattern === 'heart') {
+                // Heart curve, upright
+                const hx = 16 * Math.pow(Math.sin(t), 3);
+                const hy = -(13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t));
+                velocities.push({ vx: hx * 0.22, vy: hy * 0.22 });
+            } else if (pattern === 'star') {
+                // Outline between alternating outer and inner corners of a five-pointed star
+                const position = (i / count) * 10;
+                const corner = Math.floor(position);
+                const [from, to] = corner % 2 === 0 ? [4, 1.6] : [1.6, 4];
+                const a1 = -Math.PI / 2 + corner * Math.PI / 5;
+                const a2 = a1 + Math.PI / 5;
+                const f = position - corner;
+                velocities.push({
+                    vx: Math.cos(a1) * from * (1 - f) + Math.cos(a2) * to * f,
+                    vy: Math.sin(a1) * from * (1 - f) + Math.sin(a2) * to * f
+                });
+            } else {
+                // Sphere: a circle with slightly varying angles and speeds
+                const angle = t + (Math.random() * 20) * Math.PI / 180;
+                const speed = 2 + Math.random() * 3;
+                velocities.push({ vx: Math.cos(angle) * speed, vy: Math.sin(angle) * speed });
+            }
+        }
+        return velocities;
     }
 
     /**
@@ -187,75 +191,372 @@ class Fireworks {
      * @param {number} x - Explosion center X coordinate
      * @param {number} y - Explosion center Y coordinate
      * @param {string} color - Primary explosion color
+     * @param {string} [pattern="sphere"] - Explosion pattern
      */
-    createExplosion(x, y, color) {
-        const particleCount = 80;
-        const sparks = [];
-        
-        // Create spark particles in a circular pattern
-        for (let i = 0; i < particleCount; i++) {
-            const angle = (i * 360) / particleCount + Math.random() * 20;
-            const velocity = 100 + Math.random() * 100;
-            const spark = this.createSpark(x, y, color, angle, velocity);
-            this.container.appendChild(spark);
-            sparks.push(spark);
-
-            // Clean up sparks after animation
-            setTimeout(() => {
-                if (spark.parentNode) {
-                    spark.remove();
-                }
-            }, 2000);
+    createExplosion(x, y, color, pattern = 'sphere') {
+        // Crossette sparks each burst into four later, so fewer are launched
+        const base = pattern === 'crossette' ? this.sparksPerExplosion / 4 : this.sparksPerExplosion;
+        const count = Math.max(pattern === 'crossette' ? 6 : 12, Math.round(base * PerformanceGovernor.getScale()));
+        const innerColor = this.palette[Math.floor(Math.random() * this.palette.length)];
+
+        this.getPatternVelocities(pattern, count).forEach(velocity => {
+            if (pattern === 'willow') {
+                // Slow, long-lasting sparks drooping like willow branches
+                this.addSpark(x, y, velocity.vx * 0.7, velocity.vy * 0.7, color, 0.005 + Math.random() * 0.003, 1.5);
+            } else {
+                const spark = this.addSpark(x, y, velocity.vx, velocity.vy, velocity.inner ? innerColor : color,
+                    0.012 + Math.random() * 0.01);
+                spark.splits = pattern === 'crossette';
+            }
+        });
+    }
+
+    /**
+     * @function splitSpark
+     * @description Bursts a crossette spark into four sparks flying crosswise
+     * @param {Object} spark - Spark to split
+     * @param {Array} created - Receives the new sparks
+     */
+    splitSpark(spark, created) {
+        const heading = Math.atan2(spark.vy, spark.vx) + Math.PI / 4;
+        for (let i = 0; i < 4; i++) {
+            const angle = heading + i * Math.PI / 2;
+            const piece = this.acquireSpark();
+            Object.assign(piece, {
+                x: spark.x, y: spark.y, px: spark.x, py: spark.y,
+                vx: Math.cos(angle) * 2.5, vy: Math.sin(angle) * 2.5,
+                color: spark.color, alpha: spark.alpha, decay: 0.025,
+                gravity: 1, splits: false, tx: null, ty: null
+            });
+            created.push(piece);
         }
     }
 
+    /**
+     * @function getTextPoints
+     * @description Samples the shape of a text as points, for spelling it in sparks
+     * @param {string} text - Text to spell
+     * @param {number} maxPoints - Upper limit for the number of points
+     * @returns {Array} Points as {x, y} offsets from the center of the text
+     */
+    getTextPoints(text, maxPoints) {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+
+        // Largest bold font that fits 80% of the screen width and 20% of its height
+        let fontSize = Math.round(this.height * 0.2);
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        const measured = ctx.measureText(text).width;
+        if (measured > this.width * 0.8) {
+            fontSize = Math.max(10, Math.floor(fontSize * this.width * 0.8 / measured));
+        }
+
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        const width = canvas.width = Math.ceil(ctx.measureText(text).width) + 4;
+        const height = canvas.height = Math.ceil(fontSize * 1.3);
+        // Resizing the canvas resets its state
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(text, 2, height / 2);
+        const data = ctx.getImageData(0, 0, width, height).data;
+
+        // Sample lit pixels on a grid, coarser until the number of points fits
+        let gap = Math.max(3, Math.round(fontSize / 25));
+        let points;
+        do {
+            points = [];
+            for (let y = 0; y < height; y += gap) {
+                for (let x = 0; x < width; x += gap) {
+                    if (data[(y * width + x) * 4 + 3] > 128) {
+                        points.push({ x: x - width / 2, y: y - height / 2 });
+                    }
+                }
+            }
+            gap++;
+        } while (points.length > maxPoints);
+        return points;
+    }
+
+    /**
+     * @function createTextExplosion
+     * @description Explodes into sparks that gather into the finale text
+     * @param {number} x - Explosion center X coordinate
+     * @param {number} y - Explosion center Y coordinate
+     * @param {string} color - Spark color
+     * @param {string} text - Text to spell
+     */
+    createTextExplosion(x, y, color, text) {
+        const maxPoints = Math.max(100, Math.round(500 * PerformanceGovernor.getScale()));
+        this.getTextPoints(text, maxPoints).forEach(point => {
+            const spark = this.addSpark(x, y, 0, 0, color, 0.006 + Math.random() * 0.003, 0.1);
+            spark.tx = x + point.x;
+            spark.ty = y + point.y;
+        });
+    }
+
     /**
      * @function launch
      * @description Launches a single firework
+     * @param {string} [text] - Finale text to spell, launched straight up in the middle
+     */
+    launch(text) {
+        // Random horizontal position for launch and apex between 45% and 75% of the screen height,
+        // the finale peaks above the birthday message
+        const x = text ? this.width / 2 : Math.random() * (this.width - 100) + 50;
+        const apexHeight = this.height * (text ? 0.75 : 0.45 + Math.random() * 0.3);
+
+        this.rockets.push({
+            x: x,
+            y: this.height,
+            px: x,
+            py: this.height,
+            vx: text ? 0 : (Math.random() - 0.5) * 1.5,
+            vy: -Math.sqrt(2 * this.rocketGravity * apexHeight),
+            color: this.palette[Math.floor(Math.random() * this.palette.length)],
+            pattern: this.patterns[Math.floor(Math.random() * this.patterns.length)],
+            text: text || null
+        });
+    }
+
+    /**
+     * @function launchFinale
+     * @description Launches the finale, ending the regular launches unless the display is endless
+     * @param {number} now - Current time in ms
      */
-    launch() {
-        // Random horizontal position for launch
-        const x = Math.random() * (window.innerWidth - 100) + 50;
-        const color = this.colors[Math.floor(Math.random() * this.colors.length)];
-        
-        // Create and launch rocket
-        const rocket = this.createRocket(x);
-        this.container.appendChild(rocket);
-        
-        // Create explosion after rocket reaches apex
-        setTimeout(() => {
-            const rocketRect = rocket.getBoundingClientRect();
-            this.createExplosion(x, rocketRect.top + 50, color);
-            rocket.remove();
-        }, 800);
-
-        // Clean up rocket element
-        setTimeout(() => {
-            if (rocket.parentNode) {
-                rocket.remove();
+    launchFinale(now) {
+        this.launch(this.finaleText);
+        if (this.endTime === Infinity) {
+            // Pause regular launches while the text is shown
+            this.nextFinale = now + this.finaleInterval;
+            this.nextLaunch = now + this.finaleLead;
+        } else {
+            this.nextFinale = Infinity;
+            this.endTime = now;
+        }
+    }
+
+    /**
+     * @function update
+     * @description Advances rockets and sparks, exploding rockets at their apex
+     * @param {number} step - Elapsed time in 60 fps frames
+     */
+    update(step) {
+        this.rockets = this.rockets.filter(rocket => {
+            rocket.px = rocket.x;
+            rocket.py = rocket.y;
+            rocket.x += rocket.vx * step;
+            rocket.y += rocket.vy * step;
+            rocket.vy += this.rocketGravity * step;
+
+            if (rocket.vy >= 0) {
+                if (this.onExplode) {
+                    this.onExplode(rocket);
+                }
+                if (rocket.text) {
+                    this.createTextExplosion(rocket.x, rocket.y, rocket.color, rocket.text);
+                } else {
+                    this.createExplosion(rocket.x, rocket.y, rocket.color, rocket.pattern);
+                }
+                return false;
             }
-        }, 1000);
+            return true;
+        });
+
+        const friction = Math.pow(this.sparkFriction, step);
+        const created = [];
+        this.sparks = this.sparks.filter(spark => {
+            spark.px = spark.x;
+            spark.py = spark.y;
+            if (spark.tx !== null) {
+                // Glide to the point of the text, then hang there and slowly sink
+                const ease = Math.min(1, 0.1 * step);
+                spark.x += (spark.tx - spark.x) * ease;
+                spark.y += (spark.ty - spark.y) * ease;
+                if (Math.abs(spark.tx - spark.x) < 0.5 && Math.abs(spark.ty - spark.y) < 0.5) {
+                    spark.tx = spark.ty = null;
+                }
+            } else {
+                spark.vx *= friction;
+                spark.vy = spark.vy * friction + this.sparkGravity * spark.gravity * step;
+                spark.x += spark.vx * step;
+                spark.y += spark.vy * step;
+            }
+            spark.alpha -= spark.decay * step;
+
+            if (spark.splits && spark.alpha < 0.7) {
+                this.splitSpark(spark, created);
+                this.releaseSpark(spark);
+                return false;
+            }
+            if (spark.alpha <= 0 || spark.y > this.height) {
+                this.releaseSpark(spark);
+                return false;
+            }
+            return true;
+        });
+        this.sparks.push(...created);
+    }
+
+    /**
+     * @function draw
+     * @description Renders one frame, fading the previous frames into trails
+     */
+    draw() {
+        const ctx = this.ctx;
+
+        // Fade what is already drawn instead of clearing, leaving short trails
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.lineCap = 'round';
+
+        // Rockets with a bright head
+        ctx.lineWidth = 3;
+        this.rockets.forEach(rocket => {
+            ctx.strokeStyle = '#fff6d0';
+            ctx.beginPath();
+            ctx.moveTo(rocket.px, rocket.py);
+            ctx.lineTo(rocket.x, rocket.y);
+            ctx.stroke();
+        });
+
+        // Soft halo behind the sparks, skipped when the governor turns glow off
+        if (PerformanceGovernor.useGlow()) {
+            ctx.lineWidth = 7;
+            this.sparks.forEach(spark => {
+                ctx.globalAlpha = spark.alpha * 0.2;
+                ctx.strokeStyle = spark.color;
+                ctx.beginPath();
+                ctx.moveTo(spark.px, spark.py);
+                ctx.lineTo(spark.x, spark.y);
+                ctx.stroke();
+            });
+        }
+
+        // Sparks drawn as short streaks along their movement
+        ctx.lineWidth = 2.5;
+        this.sparks.forEach(spark => {
+            ctx.globalAlpha = spark.alpha;
+            ctx.strokeStyle = spark.color;
+            ctx.beginPath();
+            ctx.moveTo(spark.px, spark.py);
+            ctx.lineTo(spark.x, spark.y);
+            ctx.stroke();
+        });
+
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * @function animate
+     * @description Main animation loop, launching rockets until the display ends
+     * @param {number} timestamp - Frame time from requestAnimationFrame
+     */
+    animate(timestamp) {
+        const step = this.lastFrame ? Math.min((timestamp - this.lastFrame) / (1000 / 60), 4) : 1;
+        this.lastFrame = timestamp;
+
+        const now = Date.now();
+        if (now >= this.nextFinale) {
+            this.launchFinale(now);
+        } else if (now < this.endTime && now >= this.nextLaunch) {
+            const minInterval = 200;  // Minimum time between launches
+            const maxInterval = 1000; // Maximum time between launches
+            this.launch();
+            // Launch less often when the governor scales down
+            const delay = Math.random() * (maxInterval - minInterval) + minInterval;
+            this.nextLaunch = now + delay / PerformanceGovernor.getScale();
+        }
+
+        this.update(step);
+        this.draw();
+
+        // Keep running while launching, and until the last sparks have faded
+        if (now < this.endTime || this.rockets.length > 0 || this.sparks.length > 0) {
+            this.animationFrame = requestAnimationFrame(time => this.animate(time));
+        } else {
+            this.animationFrame = null;
+            this.ctx.clearRect(0, 0, this.width, this.height);
+        }
+    }
+
+    /**
+     * @function getFinaleText
+     * @description Builds the text spelled by the finale
+     * @param {string} finale - "name", "age" or "none"
+     * @param {Array} [people] - People celebrated, with name and age
+     * @returns {string} Names or ages joined by "&", empty for no finale
+     */
+    getFinaleText(finale, people) {
+        if (finale !== 'name' && finale !== 'age') {
+            if (finale && finale !== 'none') {
+                Log.warn(`[MMM-Birthday] Unknown fireworks finale "${finale}", expected "name", "age" or "none"`);
+            }
+            return '';
+        }
+        return (people || [])
+            .filter(person => person.name)
+            .map(person => finale === 'age' && typeof person.age === 'number' ? String(person.age) : person.name)
+            .join(' & ');
     }
 
     /**
      * @function start
      * @param {string|number} duration - Duration in ms or "infinite"
+     * @param {Array} [colors] - Colors to use instead of the default palette
+     * @param {Object} [settings] - patterns: pattern names or "random" for all,
+     *   finale: "name", "age" or "none", finaleInterval: ms between finales of an endless display,
+     *   people: people celebrated, with name and age
      * @description Starts the fireworks display for specified duration
      */
-    start(duration) {
-        const minInterval = 200;  // Minimum time between launches
-        const maxInterval = 1000; // Maximum time between launches
-        
-        const launchNext = () => {
-            if (Date.now() < this.endTime) {
-                this.launch();
-                const nextDelay = Math.random() * (maxInterval - minInterval) + minInterval;
-                setTimeout(launchNext, nextDelay);
-            }
-        };
+    start(duration, colors, settings = {}) {
+        const now = Date.now();
+        this.palette = colors && colors.length > 0 ? colors : this.colors;
+        this.endTime = duration === "infinite" ? Infinity : now + duration;
+        this.nextLaunch = 0;
+
+        const patterns = settings.patterns && settings.patterns !== 'random'
+            ? [].concat(settings.patterns).filter(pattern => {
+                if (!this.allPatterns.includes(pattern)) {
+                    Log.warn(`[MMM-Birthday] Unknown fireworks pattern "${pattern}", available: ${this.allPatterns.join(', ')}`);
+                    return false;
+                }
+                return true;
+            })
+            : [];
+        this.patterns = patterns.length > 0 ? patterns : this.allPatterns;
+
+        // The finale is launched in time to be seen before the display ends, or now and then when it never ends
+        this.finaleText = this.getFinaleText(settings.finale, settings.people);
+        this.finaleInterval = settings.finaleInterval || null;
+        if (!this.finaleText) {
+            this.nextFinale = Infinity;
+        } else if (duration === "infinite") {
+            this.nextFinale = this.finaleInterval ? now + this.finaleInterval : Infinity;
+        } else {
+            this.nextFinale = now + Math.max(0, duration - this.finaleLead);
+        }
 
-        this.endTime = duration === "infinite" ? Infinity : Date.now() + duration;
-        launchNext();
+        if (!document.body.contains(this.canvas)) {
+            document.body.appendChild(this.canvas);
+        }
+        if (!this.animationFrame) {
+            this.lastFrame = 0;
+            this.animationFrame = requestAnimationFrame(time => this.animate(time));
+        }
+    }
+
+    /**
+     * @function stop
+     * @description Stops launching rockets, letting those in the air finish
+     */
+    stop() {
+        this.endTime = 0;
+        this.nextFinale = Infinity;
     }
 
     /**
@@ -264,11 +565,43 @@ class Fireworks {
      */
     cleanup() {
         this.endTime = 0;
-        const elements = document.querySelectorAll('.rocket, .spark');
-        elements.forEach(element => {
-            if (element.parentNode) {
-                element.remove();
-            }
-        });
+        this.nextFinale = Infinity;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+
+        this.sparks.forEach(spark => this.releaseSpark(spark));
+        this.sparks = [];
+        this.rockets = [];
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        if (this.canvas.parentNode) {
+            this.canvas.parentNode.removeChild(this.canvas);
+        }
     }
 }
+
+// One fireworks display shared by all celebrations
+BirthdayEffects.register("fireworks", (function() {
+    let fireworks = null;
+
+    return {
+        init: function() {
+            if (!fireworks) {
+                fireworks = new Fireworks();
+            }
+        },
+        start: function(options) {
+            fireworks.onExplode = options.explosionSounds ? () => BirthdaySound.cue() : null;
+            fireworks.start(options.duration, options.colors, options);
+        },
+        stop: function() {
+            fireworks.stop();
+        },
+        cleanup: function() {
+            if (fireworks) {
+                fireworks.cleanup();
+            }
+        }
+    };
+})());
@@ -0,0 +1,135 @@
+/**
+ * @file icalendar.js
+ * @description iCalendar (.ics) birthday reader for MMM-Birthday module
+ * @author Christian Gillinger
+ * @license MIT
+ * @version 1.0.0
+ *
+ * Extracts yearly recurring birthday events from iCalendar files and converts
+ * them to the module's birthday entry format.
+ */
+
+const { unfold, unescapeValue } = require("./content-lines.js");
+
+// Words removed from event titles to get the person's name, e.g. "Anna's Birthday"
+const defaultNamePattern = /^(?:birthday|bday)\s*[:\-–]\s*(.+)$|^(.+?)(?:'s|’s)?\s+(?:birthday|bday)$/i;
+
+/**
+ * @function parseRule
+ * @description Splits an RRULE value into its parts
+ * @param {string} value - Rule such as "FREQ=YEARLY;UNTIL=20300101"
+ * @returns {Object} Rule parts keyed by upper-case name
+ */
+function parseRule(value) {
+    const rule = {};
+    value.split(";").forEach(part => {
+        const [key, val] = part.split("=");
+        if (key && val !== undefined) {
+            rule[key.toUpperCase()] = val;
+        }
+    });
+    return rule;
+}
+
+/**
+ * @function isBirthdayEvent
+ * @description Checks whether the event is marked or titled as a birthday
+ * @param {Object} event - Collected event properties
+ * @returns {boolean} True if a category, X- property or the title says "birthday"
+ */
+function isBirthdayEvent(event) {
+    return /birthday/i.test(event.categories) ||
+        event.markers.some(value => /birthday/i.test(value)) ||
+        /\b(?:birthday|bday)\b/i.test(event.summary);
+}
+
+/**
+ * @function toEntry
+ * @description Converts a collected event to a birthday entry if it qualifies
+ * @param {Object} event - Collected event properties
+ * @param {Object} options - Filter and name options
+ * @returns {Object|null} Birthday entry with name and "MM-DD" date, or null
+ */
+function toEntry(event, options) {
+    const match = event.start.match(/^\d{4}(\d{2})(\d{2})/);
+    if (!match || !event.summary || event.status === "CANCELLED") {
+        return null;
+    }
+
+    // Only events that still recur every year count, so one-off events like "Buy birthday present" do not
+    const rule = parseRule(event.rrule);
+    if (rule.FREQ !== "YEARLY" || (rule.UNTIL && rule.UNTIL.slice(0, 8) < options.today)) {
+        return null;
+    }
+
+    // Of those, the ones matching the filter, or without one those marked as birthdays, not holidays or reminders
+    if (options.filter) {
+        if (!options.filter.test(event.summary) && !options.filter.test(event.categories)) {
+            return null;
+        }
+    } else if (!isBirthdayEvent(event)) {
+        return null;
+    }
+
+    const nameMatch = event.summary.match(options.namePattern);
+    const name = nameMatch ? (nameMatch.slice(1).find(Boolean) || event.summary) : event.summary;
+    return { name: name.trim(), date: `${match[1]}-${match[2]}`, type: "birthday" };
+}
+
+/**
+ * @function parse
+ * @description Extracts birthdays from iCalendar text
+ * @param {string} text - Contents of an .ics file
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.filter] - Regular expression an event's SUMMARY or CATEGORIES must match
+ * @param {string} [options.namePattern] - Regular expression whose first matching capture group is the name
+ * @returns {Array} Entries with name, date and type
+ */
+function parse(text, options = {}) {
+    const now = new Date();
+    const settings = {
+        filter: options.filter ? new RegExp(options.filter, "i") : null,
+        namePattern: options.namePattern ? new RegExp(options.namePattern, "i") : defaultNamePattern,
+        today: `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, "0")}${String(now.getDate()).padStart(2, "0")}`
+    };
+
+    const entries = [];
+    let event = null;
+
+    unfold(text).forEach(line => {
+        const colon = line.indexOf(":");
+        if (colon === -1) {
+            return;
+        }
+        const name = line.slice(0, colon).split(";")[0].toUpperCase();
+        const value = line.slice(colon + 1).trim();
+
+        if (name === "BEGIN" && value.toUpperCase() === "VEVENT") {
+            event = { summary: "", start: "", rrule: "", categories: "", status: "", markers: [] };
+        } else if (name === "END" && value.toUpperCase() === "VEVENT" && event) {
+            const entry = toEntry(event, settings);
+            if (entry) {
+                entries.push(entry);
+            }
+            event = null;
+        } else if (event) {
+            if (name === "SUMMARY") {
+                event.summary = unescapeValue(value).trim();
+            } else if (name === "DTSTART") {
+                event.start = value;
+            } else if (name === "RRULE") {
+                event.rrule = value;
+            } else if (name === "CATEGORIES") {
+                event.categories = unescapeValue(value);
+            } else if (name === "STATUS") {
+                event.status = value.toUpperCase();
+            } else if (name.startsWith("X-")) {
+                event.markers.push(value);
+            }
+        }
+    });
+
+    return entries;
+}
+
+module.exports = { parse };
@@ -0,0 +1,105 @@
+/**
+ * @file namedays.js
+ * @description Name-day calendar reader for MMM-Birthday module
+ * @author Christian Gillinger
+ * @license MIT
+ * @version 1.0.0
+ *
+ * Reads name-day tables (the bundled ones in the namedays folder, or a JSON
+ * file of one's own) and looks up the name days of the household names
+ * configured with `nameDays`, converting them to the module's entry format.
+ */
+
+const path = require("path");
+
+// Folder with the bundled tables, one "<code>.json" per calendar
+const tableDir = path.join(__dirname, "namedays");
+const datePattern = /^(\d{2})-(\d{2})$/;
+
+/**
+ * @function normalize
+ * @description Prepares a name for comparison, ignoring case and surrounding spaces
+ * @param {string} name - Name as configured or listed in the table
+ * @returns {string} Comparable name
+ */
+function normalize(name) {
+    return name.trim().toLocaleLowerCase();
+}
+
+/**
+ * @function parse
+ * @description Parses a name-day table
+ * @param {string} text - JSON with "MM-DD" keys and a name or list of names per day,
+ *   either at the top level or in a "days" object, which may come with a February "leapDay"
+ * @returns {Object} Lists of names keyed by "MM-DD", and the leap day ("MM-DD" or null)
+ * @throws {Error} If the table is malformed
+ */
+function parse(text) {
+    const data = JSON.parse(text.replace(/^\uFEFF/, ""));
+    const days = data && typeof data.days === "object" ? data.days : data;
+    if (!days || typeof days !== "object" || Array.isArray(days)) {
+        throw new Error('expected an object with "MM-DD" keys');
+    }
+
+    // In leap years the names from the leap day to February 28 move one day later (Swedish skottdagen)
+    const leapDay = days === data ? null : data.leapDay || null;
+    if (leapDay !== null && !/^02-(0[1-9]|1\d|2[0-8])$/.test(leapDay)) {
+        throw new Error(`invalid leapDay "${leapDay}", expected a February day before the 29th`);
+    }
+
+    const table = {};
+    Object.keys(days).forEach(date => {
+        const match = date.match(datePattern);
+        if (!match || Number(match[1]) < 1 || Number(match[1]) > 12 || Number(match[2]) < 1 || Number(match[2]) > 31) {
+            throw new Error(`invalid date "${date}", expected "MM-DD"`);
+        }
+        const names = [].concat(days[date]);
+        if (!names.every(name => typeof name === "string")) {
+            throw new Error(`names on ${date} must be strings`);
+        }
+        table[date] = names;
+    });
+    return { days: table, leapDay: leapDay };
+}
+
+/**
+ * @function find
+ * @description Looks up the name days of the given names
+ * @param {Object} table - Table from parse
+ * @param {Array} names - Names to look up; matching ignores case
+ * @returns {Object} Entries with name, date ("MM-DD") and type "nameDay", plus the leapYearDate of
+ *   days that move in leap years, and the names not in the table
+ */
+function find(table, names) {
+    const entries = [];
+    const missing = [];
+
+    names.forEach(name => {
+        const wanted = normalize(name);
+        const dates = Object.keys(table.days).filter(date => table.days[date].some(listed => normalize(listed) === wanted));
+        if (dates.length === 0) {
+            missing.push(name);
+        }
+        dates.forEach(date => {
+            const entry = { name: name.trim(), date: date, type: "nameDay" };
+            if (table.leapDay !== null && date >= table.leapDay && date <= "02-28") {
+                entry.leapYearDate = `02-${String(Number(date.slice(3)) + 1).padStart(2, "0")}`;
+            }
+            entries.push(entry);
+        });
+    });
+
+    return { entries, missing };
+}
+
+/**
+ * @function resolveTable
+ * @description Finds the table file of a calendar
+ * @param {string} calendar - Code of a bundled table (e.g. "sv"), or a JSON file path
+ * @returns {string|null} Path of the bundled table, or null when the calendar is not a bundled code
+ */
+function resolveTable(calendar) {
+    return /^[a-z]{2}(-[a-z]{2})?$/i.test(calendar) ? path.join(tableDir, `${calendar.toLowerCase()}.json`) : null;
+}
+
+module.exports = { parse, find, resolveTable };
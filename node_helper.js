@@ -3,13 +3,33 @@
  * @description Node helper for MMM-Birthday module
  * @author Christian Gillinger
  * @license MIT
- * @version 1.0.0
- * 
+ * @version 1.1.0
+ *
  * Provides backend support for the MMM-Birthday module.
- * Handles initialization and error management.
+ * Handles initialization, error management, loading birthdays
+ * from local address book, calendar and birthday list files,
+ * looking up name days in the name-day calendars,
+ * persisting which birthdays have been celebrated this year, and
+ * a REST API and admin page for managing birthdays without editing config.js.
  */
 
 var NodeHelper = require("node_helper");
+const express = require("express");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const vcard = require("./vcard.js");
+const icalendar = require("./icalendar.js");
+const birthdaysFile = require("./birthdays-file.js");
+const namedays = require("./namedays.js");
+const BirthdayDates = require("./birthday-dates.js");
+
+const stateFile = path.join(__dirname, "celebration-state.json");
+const photoDir = path.join(__dirname, "photos");
+const photoTypes = { "image/jpeg": "jpg", "image/png": "png", "image/gif": "gif", "image/webp": "webp" };
+// Kinds of events known to the module, see eventTypes in MMM-Birthday.js
+const eventTypes = ["birthday", "anniversary", "workAnniversary", "memorial", "nameDay", "custom"];
 
 module.exports = NodeHelper.create({
     /**
@@ -19,6 +39,13 @@ module.exports = NodeHelper.create({
     start: function() {
         console.log("Starting node helper for: " + this.name);
         this.initialized = false;
+        this.config = null;
+        this.fileBirthdays = {};  // Last good entries per source file
+        this.reloadTimer = null;
+        this.watchedFile = null;
+        this.state = null;        // Celebration records keyed by year, then birthday key
+        this.managedBirthdays = null;  // Birthdays managed through the API
+        this.registerRoutes();
     },
 
     /**
@@ -29,11 +56,540 @@ module.exports = NodeHelper.create({
      */
     socketNotificationReceived: function(notification, payload) {
         if (notification === "INITIALIZE") {
+            this.config = payload;
+            try {
+                BirthdayDates.setLeapDayPolicy(this.config.leapDayPolicy);
+            } catch (error) {
+                this.handleError(error);
+            }
             if (!this.initialized) {
                 this.initialized = true;
+                this.scheduleReload();
+                this.watchBirthdaysFile();
                 this.sendSocketNotification("INITIALIZED", true);
             }
+            this.loadBirthdays();
+            this.sendCelebrationState();
+        } else if (notification === "CELEBRATION_RECORD") {
+            this.saveCelebrationRecord(payload);
+        }
+    },
+
+    /**
+     * @function readState
+     * @description Loads the celebration state file once
+     * @returns {Promise<Object>} Celebration records keyed by year
+     */
+    readState: async function() {
+        if (this.state === null) {
+            try {
+                this.state = JSON.parse(await fs.promises.readFile(stateFile, "utf8"));
+            } catch (error) {
+                if (error.code !== "ENOENT") {
+                    this.handleError(new Error(`Could not read celebration state: ${error.message}`));
+                }
+                this.state = {};
+            }
+        }
+        return this.state;
+    },
+
+    /**
+     * @function sendCelebrationState
+     * @description Sends this year's celebration records to the module
+     */
+    sendCelebrationState: async function() {
+        const state = await this.readState();
+        this.sendSocketNotification("CELEBRATION_STATE", state[new Date().getFullYear()] || {});
+    },
+
+    /**
+     * @function saveCelebrationRecord
+     * @description Stores that a birthday was celebrated or ended, dropping previous years
+     * @param {Object} record - Birthday key, year, status ("celebrated" or "ended") and timestamp
+     */
+    saveCelebrationRecord: async function(record) {
+        const state = await this.readState();
+        const year = String(record.year);
+
+        Object.keys(state).forEach(key => {
+            if (key !== year) {
+                delete state[key];
+            }
+        });
+        state[year] = state[year] || {};
+        state[year][record.key] = Object.assign({}, state[year][record.key], { [record.status]: record.timestamp });
+
+        try {
+            await fs.promises.writeFile(stateFile, JSON.stringify(state, null, 4));
+        } catch (error) {
+            this.handleError(new Error(`Could not save celebration state: ${error.message}`));
+        }
+    },
+
+    /**
+     * @function scheduleReload
+     * @description Re-reads the birthday source files periodically
+     */
+    scheduleReload: function() {
+        if (this.reloadTimer) {
+            clearInterval(this.reloadTimer);
+        }
+        this.reloadTimer = setInterval(() => {
+            this.loadBirthdays();
+        }, this.config.sourceReloadInterval);
+    },
+
+    /**
+     * @function watchBirthdaysFile
+     * @description Reloads birthdays within seconds whenever the birthdays file changes
+     */
+    watchBirthdaysFile: function() {
+        if (!this.config.birthdaysFile) {
+            return;
+        }
+
+        // Polling also catches editors that replace the file instead of writing to it
+        this.watchedFile = this.resolvePath(this.config.birthdaysFile);
+        fs.watchFile(this.watchedFile, { interval: 2000 }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                console.log(`[${this.name}] ${this.config.birthdaysFile} changed, reloading birthdays`);
+                this.loadBirthdays();
+            }
+        });
+    },
+
+    /**
+     * @function resolvePath
+     * @description Resolves a configured file path, relative to the module directory
+     * @param {string} file - Absolute path, "~/" path or path relative to the module
+     * @returns {string} Absolute file path
+     */
+    resolvePath: function(file) {
+        if (file.startsWith("~/")) {
+            return path.join(os.homedir(), file.slice(2));
+        }
+        return path.resolve(__dirname, file);
+    },
+
+    /**
+     * @function readSource
+     * @description Reads and parses one source file, keeping the last good result on failure
+     * @param {string} file - Configured file path
+     * @param {Function} parse - Parser turning file contents into birthday entries
+     * @returns {Promise<Array>} Birthday entries from the file
+     */
+    readSource: async function(file, parse) {
+        try {
+            const text = await fs.promises.readFile(this.resolvePath(file), "utf8");
+            this.fileBirthdays[file] = parse(text);
+        } catch (error) {
+            this.handleError(new Error(`Could not load birthdays from ${file}: ${error.message}`));
+        }
+        return this.fileBirthdays[file] || [];
+    },
+
+    /**
+     * @function loadBirthdays
+     * @description Loads birthdays from all configured sources and sends them to the module
+     */
+    loadBirthdays: async function() {
+        const birthdays = [];
+
+        for (const file of this.config.vcardFiles || []) {
+            const entries = await this.readSource(file, vcard.parse);
+            birthdays.push(...entries.filter(entry => entry.type === "birthday" || this.config.vcardAnniversaries));
+        }
+
+        const icsOptions = { filter: this.config.icsFilter, namePattern: this.config.icsNamePattern };
+        for (const file of this.config.icsFiles || []) {
+            birthdays.push(...await this.readSource(file, text => icalendar.parse(text, icsOptions)));
+        }
+
+        if (this.config.birthdaysFile) {
+            const file = this.config.birthdaysFile;
+            birthdays.push(...await this.readSource(file, text => birthdaysFile.parse(text, file)));
+        }
+
+        if (Array.isArray(this.config.nameDays) && this.config.nameDays.length > 0) {
+            birthdays.push(...await this.readNameDays());
+        }
+
+        birthdays.push(...await this.readManagedBirthdays());
+
+        this.sendSocketNotification("BIRTHDAYS", birthdays);
+    },
+
+    /**
+     * @function readNameDays
+     * @description Looks up the name days of the configured household names
+     * @returns {Promise<Array>} Name-day entries with name, date and type "nameDay"
+     */
+    readNameDays: async function() {
+        const calendar = this.config.nameDayCalendar;
+        const bundled = namedays.resolveTable(calendar);
+        if (bundled && !fs.existsSync(bundled)) {
+            const available = fs.readdirSync(path.dirname(bundled)).map(file => path.basename(file, ".json"));
+            this.handleError(new Error(`No bundled name-day calendar "${calendar}", available are ${available.join(", ")}; set nameDayCalendar to one of them or to a JSON file (see "Name Days" in the README)`));
+            return [];
+        }
+
+        const names = this.config.nameDays.filter(name => typeof name === "string" && name.trim() !== "");
+        return this.readSource(bundled || calendar, text => {
+            const result = namedays.find(namedays.parse(text), names);
+            if (result.missing.length > 0) {
+                this.handleError(new Error(`No name day for ${result.missing.join(", ")} in name-day calendar "${calendar}"`));
+            }
+            return result.entries;
+        });
+    },
+
+    /**
+     * @function readManagedBirthdays
+     * @description Loads the birthdays managed through the API from the data file once
+     * @returns {Promise<Array>} Managed birthday entries, each with an id
+     */
+    readManagedBirthdays: async function() {
+        if (this.managedBirthdays === null) {
+            try {
+                const data = JSON.parse(await fs.promises.readFile(this.resolvePath(this.config.dataFile), "utf8"));
+                this.managedBirthdays = Array.isArray(data) ? data : [];
+            } catch (error) {
+                if (error.code !== "ENOENT") {
+                    this.handleError(new Error(`Could not read ${this.config.dataFile}: ${error.message}`));
+                }
+                this.managedBirthdays = [];
+            }
+        }
+        return this.managedBirthdays;
+    },
+
+    /**
+     * @function saveManagedBirthdays
+     * @description Writes the managed birthdays to the data file and pushes the new list to the module
+     */
+    saveManagedBirthdays: async function() {
+        await fs.promises.writeFile(this.resolvePath(this.config.dataFile), JSON.stringify(this.managedBirthdays, null, 4));
+        await this.loadBirthdays();
+    },
+
+    /**
+     * @function getNextOccurrence
+     * @description Calculates when a managed birthday occurs next, the way the mirror does
+     * @param {Object} entry - Managed birthday entry
+     * @returns {Object|null} Date as "YYYY-MM-DD", days until then and age (null if unknown), or null for invalid entries
+     */
+    getNextOccurrence: function(entry) {
+        try {
+            const date = BirthdayDates.parse(entry.date, entry.calendar);
+            if (entry.year !== undefined) {
+                date.year = entry.year;
+            }
+            const today = BirthdayDates.inTimeZone(new Date(), entry.timezone);
+            const next = BirthdayDates.nextOccurrence(date, today);
+            return {
+                date: `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, "0")}-${String(next.getDate()).padStart(2, "0")}`,
+                days: BirthdayDates.daysBetween(today, next),
+                age: BirthdayDates.yearsOn(date, next)
+            };
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * @function validateBirthday
+     * @description Checks and normalizes a birthday sent to the API
+     * @param {Object} body - Request body with name, date and optional year
+     * @returns {Object} Birthday entry with the known fields
+     * @throws {Error} If the name or date is missing or malformed
+     */
+    validateBirthday: function(body) {
+        if (!body || typeof body.name !== "string" || body.name.trim() === "") {
+            throw new Error("missing name");
+        }
+        const date = BirthdayDates.parse(body.date, body.calendar);
+
+        const entry = { name: body.name.trim(), date: body.date.trim() };
+        if (date.calendar !== "gregorian") {
+            entry.calendar = date.calendar;
+        }
+        // Checked as the mirror does, so that every stored entry is also celebrated
+        if (body.year !== undefined && body.year !== null && body.year !== "") {
+            entry.year = BirthdayDates.applyYear(date, body.year).year;
+        }
+
+        if (body.timezone !== undefined && body.timezone !== null && body.timezone !== "") {
+            if (!BirthdayDates.isTimeZone(body.timezone)) {
+                throw new Error(`unknown timezone "${body.timezone}", expected e.g. "Australia/Sydney"`);
+            }
+            entry.timezone = body.timezone.trim();
+        }
+
+        if (body.type !== undefined && body.type !== null && body.type !== "") {
+            if (!eventTypes.includes(body.type)) {
+                throw new Error(`type must be one of ${eventTypes.join(", ")}`);
+            }
+            entry.type = body.type;
+        }
+
+        // Optional per-person celebration settings
+        const isStringList = value => Array.isArray(value) && value.every(item => typeof item === "string");
+        if (body.messages !== undefined) {
+            if (typeof body.messages !== "string" && !isStringList(body.messages)) {
+                throw new Error("messages must be a string or a list of strings");
+            }
+            entry.messages = body.messages;
+        }
+        if (body.sound !== undefined) {
+            if (typeof body.sound !== "string" || body.sound.trim() === "") {
+                throw new Error("sound must be a file path or URL");
+            }
+            entry.sound = body.sound.trim();
+        }
+        if (body.colors !== undefined) {
+            if (!isStringList(body.colors)) {
+                throw new Error("colors must be a list of strings");
+            }
+            entry.colors = body.colors;
+        }
+        if (body.effects !== undefined) {
+            // Effect names, or objects with a name and the effect's own settings
+            const isEffect = item => typeof item === "string" ||
+                (item && typeof item === "object" && typeof item.name === "string");
+            if (!Array.isArray(body.effects) || !body.effects.every(isEffect)) {
+                throw new Error("effects must be a list of effect names or objects with a name");
+            }
+            entry.effects = body.effects;
+        }
+        ["fireworkDuration", "confettiDuration"].forEach(key => {
+            if (body[key] !== undefined) {
+                if (body[key] !== "infinite" && !(typeof body[key] === "number" && body[key] > 0)) {
+                    throw new Error(`${key} must be a number of milliseconds or "infinite"`);
+                }
+                entry[key] = body[key];
+            }
+        });
+        return entry;
+    },
+
+    /**
+     * @function validateCelebration
+     * @description Checks a celebration request sent to the API
+     * @param {Object} body - Request body with name (a string or list of strings), age, type and message
+     * @returns {Object} BIRTHDAY_CELEBRATE payload with only these fields
+     * @throws {Error} If a field is malformed, or neither a name nor a message is given
+     */
+    validateCelebration: function(body) {
+        body = body || {};
+        const payload = {};
+        if (body.name !== undefined && body.name !== null) {
+            const names = [].concat(body.name);
+            if (!names.every(name => typeof name === "string")) {
+                throw new Error("name must be a string or a list of strings");
+            }
+            if (names.length > 0) {
+                payload.name = body.name;
+            }
+        }
+        if (body.age !== undefined && body.age !== null) {
+            if (!Number.isInteger(body.age) || body.age < 0) {
+                throw new Error("age must be a whole number");
+            }
+            payload.age = body.age;
+        }
+        if (body.type !== undefined && body.type !== null && body.type !== "") {
+            if (!eventTypes.includes(body.type)) {
+                throw new Error(`type must be one of ${eventTypes.join(", ")}`);
+            }
+            payload.type = body.type;
+        }
+        if (body.message !== undefined && body.message !== null) {
+            if (typeof body.message !== "string") {
+                throw new Error("message must be a string");
+            }
+            payload.message = body.message;
+        }
+        if (!payload.name && !payload.message) {
+            throw new Error("missing name or message");
+        }
+        return payload;
+    },
+
+    /**
+     * @function registerRoutes
+     * @description Adds the REST API to MagicMirror's web server
+     */
+    registerRoutes: function() {
+        const router = express.Router();
+        router.use(express.json());
+
+        // The API needs the module configuration, and the API key when one is configured
+        router.use((req, res, next) => {
+            if (!this.config) {
+                return res.status(503).json({ error: "module not initialized yet" });
+            }
+            if (this.config.apiKey && (req.get("X-Api-Key") || req.query.apiKey) !== this.config.apiKey) {
+                return res.status(401).json({ error: "invalid API key" });
+            }
+            next();
+        });
+
+        router.get("/birthdays", async (req, res) => {
+            const birthdays = await this.readManagedBirthdays();
+            res.json(birthdays.map(entry => Object.assign({}, entry, { next: this.getNextOccurrence(entry) })));
+        });
+
+        router.post("/birthdays", async (req, res) => {
+            let entry;
+            try {
+                entry = this.validateBirthday(req.body);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            entry = Object.assign({ id: crypto.randomBytes(8).toString("hex") }, entry);
+            (await this.readManagedBirthdays()).push(entry);
+            await this.respondAfterSave(res, 201, entry);
+        });
+
+        router.put("/birthdays/:id", async (req, res) => {
+            const birthdays = await this.readManagedBirthdays();
+            const index = birthdays.findIndex(birthday => birthday.id === req.params.id);
+            if (index === -1) {
+                return res.status(404).json({ error: "birthday not found" });
+            }
+            // Fields left out of the body, like per-person settings the admin page does not edit, keep their values
+            let entry;
+            try {
+                entry = this.validateBirthday(Object.assign({}, birthdays[index], req.body));
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            birthdays[index] = Object.assign({ id: req.params.id, image: birthdays[index].image }, entry);
+            await this.respondAfterSave(res, 200, birthdays[index]);
+        });
+
+        router.delete("/birthdays/:id", async (req, res) => {
+            const birthdays = await this.readManagedBirthdays();
+            const index = birthdays.findIndex(birthday => birthday.id === req.params.id);
+            if (index === -1) {
+                return res.status(404).json({ error: "birthday not found" });
+            }
+            const [removed] = birthdays.splice(index, 1);
+            await this.removePhoto(removed);
+            await this.respondAfterSave(res, 204);
+        });
+
+        router.put("/birthdays/:id/photo", express.raw({ type: "image/*", limit: "5mb" }), async (req, res) => {
+            const birthday = (await this.readManagedBirthdays()).find(entry => entry.id === req.params.id);
+            if (!birthday) {
+                return res.status(404).json({ error: "birthday not found" });
+            }
+            const extension = photoTypes[req.get("Content-Type")];
+            if (!extension || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+                return res.status(415).json({ error: "expected a JPEG, PNG, GIF or WebP image" });
+            }
+
+            try {
+                await this.removePhoto(birthday);
+                await fs.promises.mkdir(photoDir, { recursive: true });
+                await fs.promises.writeFile(path.join(photoDir, `${birthday.id}.${extension}`), req.body);
+            } catch (error) {
+                this.handleError(new Error(`Could not save photo: ${error.message}`));
+                return res.status(500).json({ error: error.message });
+            }
+            birthday.image = `photos/${birthday.id}.${extension}`;
+            await this.respondAfterSave(res, 200, birthday);
+        });
+
+        router.delete("/birthdays/:id/photo", async (req, res) => {
+            const birthday = (await this.readManagedBirthdays()).find(entry => entry.id === req.params.id);
+            if (!birthday) {
+                return res.status(404).json({ error: "birthday not found" });
+            }
+            await this.removePhoto(birthday);
+            delete birthday.image;
+            await this.respondAfterSave(res, 200, birthday);
+        });
+
+        router.post("/celebrate", (req, res) => {
+            let payload;
+            try {
+                payload = this.validateCelebration(req.body);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            this.sendSocketNotification("BIRTHDAY_CELEBRATE", payload);
+            res.status(202).json({ status: "celebrating" });
+        });
+
+        // Celebrates a stored birthday with its photo and own settings, as on the day itself
+        router.post("/celebrate/:id", async (req, res) => {
+            const birthday = (await this.readManagedBirthdays()).find(entry => entry.id === req.params.id);
+            if (!birthday) {
+                return res.status(404).json({ error: "birthday not found" });
+            }
+            const next = this.getNextOccurrence(birthday);
+            this.sendSocketNotification("BIRTHDAY_CELEBRATE", Object.assign({}, birthday, { age: next ? next.age : null }));
+            res.status(202).json({ status: "celebrating" });
+        });
+
+        router.post("/stop", (req, res) => {
+            this.sendSocketNotification("BIRTHDAY_STOP", {});
+            res.status(202).json({ status: "stopped" });
+        });
+
+        // Malformed or oversized bodies are answered in JSON instead of Express's HTML error page
+        router.use((error, req, res, next) => {
+            const status = error.status >= 400 && error.status < 500 ? error.status : 500;
+            if (status === 500) {
+                this.handleError(error);
+            }
+            res.status(status).json({ error: status === 500 ? "internal error" : error.message });
+        });
+
+        this.expressApp.use(`/${this.name}/api`, router);
+        this.expressApp.get(`/${this.name}/admin`, (req, res) => {
+            res.sendFile(path.join(__dirname, "admin.html"));
+        });
+    },
+
+    /**
+     * @function removePhoto
+     * @description Deletes the uploaded photo of a managed birthday, if any
+     * @param {Object} birthday - Managed birthday entry
+     */
+    removePhoto: async function(birthday) {
+        if (!birthday.image || !birthday.image.startsWith("photos/")) {
+            return;
+        }
+        try {
+            await fs.promises.unlink(path.join(photoDir, path.basename(birthday.image)));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                this.handleError(new Error(`Could not remove photo: ${error.message}`));
+            }
+        }
+    },
+
+    /**
+     * @function respondAfterSave
+     * @description Saves the managed birthdays and answers the request
+     * @param {Object} res - Express response
+     * @param {number} status - HTTP status on success
+     * @param {Object} [body] - Response body on success
+     */
+    respondAfterSave: async function(res, status, body) {
+        try {
+            await this.saveManagedBirthdays();
+        } catch (error) {
+            this.handleError(new Error(`Could not save ${this.config.dataFile}: ${error.message}`));
+            return res.status(500).json({ error: error.message });
+        }
+        if (body === undefined) {
+            return res.status(status).end();
         }
+        res.status(status).json(body);
     },
 
     /**
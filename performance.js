@@ -0,0 +1,134 @@
+/**
+ * @file performance.js
+ * @description Adaptive performance governor for MMM-Birthday animations
+ * @author Christian Gillinger
+ * @license MIT
+ * @version 1.0.0
+ *
+ * Measures the frame rate during a celebration and scales particle counts,
+ * launch rates and glow effects down (and back up) to hold a target frame rate.
+ * The fireworks and confetti effects read the current scale from here.
+ */
+
+const PerformanceGovernor = (function() {
+    /**
+     * @description Settings per performance profile
+     * targetFps: frame rate to hold, scale: starting scale, min/max: scale limits,
+     * glow: whether glow effects may be drawn at all
+     */
+    const profiles = {
+        low: { targetFps: 24, scale: 0.4, min: 0.15, max: 0.6, glow: false },
+        balanced: { targetFps: 30, scale: 1, min: 0.25, max: 1, glow: true },
+        high: { targetFps: 50, scale: 1, min: 0.4, max: 1.5, glow: true }
+    };
+
+    // Below this scale glow is switched off to save fill rate
+    const glowThreshold = 0.6;
+    // How often the scale is adjusted, in ms
+    const adjustInterval = 1000;
+
+    let profile = profiles.balanced;
+    let scale = profile.scale;
+    let fps = 0;
+    let frames = 0;
+    let windowStart = 0;
+    let animationFrame = null;
+
+    /**
+     * @function adjust
+     * @description Lowers the scale quickly when frames drop, raises it slowly when there is headroom
+     */
+    function adjust() {
+        if (fps < profile.targetFps * 0.9) {
+            scale = Math.max(profile.min, scale * 0.8);
+        } else if (fps > profile.targetFps * 1.15) {
+            scale = Math.min(profile.max, scale * 1.05);
+        }
+    }
+
+    /**
+     * @function measure
+     * @description Frame-time monitor counting frames per adjustment window
+     * @param {number} timestamp - Frame time from requestAnimationFrame
+     */
+    function measure(timestamp) {
+        if (!windowStart) {
+            windowStart = timestamp;
+        }
+        frames++;
+
+        const elapsed = timestamp - windowStart;
+        if (elapsed >= adjustInterval) {
+            fps = (frames * 1000) / elapsed;
+            frames = 0;
+            windowStart = timestamp;
+            adjust();
+        }
+        animationFrame = requestAnimationFrame(measure);
+    }
+
+    return {
+        /**
+         * @function configure
+         * @description Selects a performance profile and resets the scale
+         * @param {string} name - "low", "balanced" or "high"
+         */
+        configure: function(name) {
+            if (!profiles[name]) {
+                Log.warn(`[MMM-Birthday] Unknown performanceProfile "${name}", using "balanced"`);
+            }
+            profile = profiles[name] || profiles.balanced;
+            scale = profile.scale;
+        },
+
+        /**
+         * @function start
+         * @description Starts measuring the frame rate
+         */
+        start: function() {
+            if (!animationFrame) {
+                frames = 0;
+                windowStart = 0;
+                animationFrame = requestAnimationFrame(measure);
+            }
+        },
+
+        /**
+         * @function stop
+         * @description Stops measuring the frame rate
+         */
+        stop: function() {
+            if (animationFrame) {
+                cancelAnimationFrame(animationFrame);
+                animationFrame = null;
+            }
+        },
+
+        /**
+         * @function getScale
+         * @description Returns the multiplier for particle counts and launch rates
+         * @returns {number} Current scale, 1 is the designed amount
+         */
+        getScale: function() {
+            return scale;
+        },
+
+        /**
+         * @function useGlow
+         * @description Tells whether glow effects should be drawn
+         * @returns {boolean} True if the profile and current load allow glow
+         */
+        useGlow: function() {
+            return profile.glow && scale >= glowThreshold;
+        },
+
+        /**
+         * @function getFps
+         * @description Returns the last measured frame rate
+         * @returns {number} Frames per second
+         */
+        getFps: function() {
+            return fps;
+        }
+    };
+})();
@@ -0,0 +1,215 @@
+/**
+ * @file sound.js
+ * @description Celebration music and sound cues for MMM-Birthday module
+ * @author Christian Gillinger
+ * @license MIT
+ * @version 1.0.0
+ *
+ * Plays the celebration track with volume, looping and fade-out, and short
+ * synthesized "boom" cues for firework explosions. While quiet, the track is
+ * held back (or faded out) and cues are muted.
+ */
+
+const BirthdaySound = (function() {
+    let audio = null;         // Current track
+    let trackUrl = null;
+    let loop = false;
+    let volume = 0.5;
+    let quiet = false;
+    let suspended = false;
+    let fadeTimer = null;     // Quiet-hours fade of the current track
+    let audioContext = null;  // Web Audio context for the cues, created on first use
+    let cueBuffer = null;
+
+    /**
+     * @function cancelFade
+     * @description Stops a running quiet-hours fade-out
+     */
+    function cancelFade() {
+        if (fadeTimer) {
+            clearInterval(fadeTimer);
+            fadeTimer = null;
+        }
+    }
+
+    /**
+     * @function fade
+     * @description Lowers the volume of a track to zero, then runs a callback
+     * @param {HTMLAudioElement} track - Track to fade
+     * @param {number} duration - Fade duration in ms
+     * @param {Function} done - Called when the track is silent
+     * @returns {number|null} Interval of the fade, null when done at once
+     */
+    function fade(track, duration, done) {
+        if (track.paused || !duration) {
+            done();
+            return null;
+        }
+        const decrement = track.volume / Math.max(1, Math.round(duration / 50));
+        const timer = setInterval(() => {
+            track.volume = Math.max(0, track.volume - decrement);
+            if (track.volume <= 0) {
+                clearInterval(timer);
+                done();
+            }
+        }, 50);
+        return timer;
+    }
+
+    /**
+     * @function playTrack
+     * @description Starts or continues the track when sound is allowed
+     */
+    function playTrack() {
+        // A track played once is not repeated within the same celebration
+        if (!audio || quiet || suspended || (audio.ended && !loop)) {
+            return;
+        }
+        cancelFade();
+        audio.volume = volume;
+        const playing = audio.play();
+        if (playing && playing.catch) {
+            playing.catch(error => Log.warn(`[MMM-Birthday] Could not play "${trackUrl}": ${error.message}`));
+        }
+    }
+
+    /**
+     * @function createCueBuffer
+     * @description Synthesizes a short, decaying noise burst that sounds like a distant explosion
+     * @returns {AudioBuffer} The cue
+     */
+    function createCueBuffer() {
+        const length = Math.round(audioContext.sampleRate * 0.8);
+        const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 4);
+        }
+        return buffer;
+    }
+
+    return {
+        /**
+         * @function play
+         * @description Sets the celebration track and plays it unless quiet; the same track continues where it was
+         * @param {string|null} url - Track URL, null for a celebration without a track
+         * @param {boolean} [repeat=false] - Loop the track instead of playing it once
+         */
+        play: function(url, repeat = false) {
+            loop = repeat;
+            suspended = false;
+            if (!url) {
+                this.stop();
+                return;
+            }
+            if (!audio || trackUrl !== url) {
+                this.stop();
+                audio = new Audio(url);
+                trackUrl = url;
+                audio.addEventListener('error', () => Log.warn(`[MMM-Birthday] Could not load sound "${url}"`));
+            }
+            audio.loop = loop;
+            playTrack();
+        },
+
+        /**
+         * @function setVolume
+         * @description Sets the volume of the track and the cues
+         * @param {number} value - Volume from 0 to 1
+         */
+        setVolume: function(value) {
+            volume = Math.min(1, Math.max(0, Number(value) || 0));
+            if (audio && !fadeTimer) {
+                audio.volume = volume;
+            }
+        },
+
+        /**
+         * @function setQuiet
+         * @description Mutes the sound during quiet hours, fading out the track; continues a looping track afterwards
+         * @param {boolean} value - Whether it is quiet
+         * @param {number} [fadeOut=0] - Fade-out duration in ms
+         */
+        setQuiet: function(value, fadeOut = 0) {
+            if (value === quiet) {
+                return;
+            }
+            quiet = value;
+            if (quiet && audio) {
+                const track = audio;
+                cancelFade();
+                fadeTimer = fade(track, fadeOut, () => {
+                    fadeTimer = null;
+                    track.pause();
+                });
+            } else if (audio && (loop || audio.currentTime === 0)) {
+                playTrack();
+            }
+        },
+
+        /**
+         * @function pause
+         * @description Pauses the track, e.g. while the module is hidden
+         */
+        pause: function() {
+            suspended = true;
+            cancelFade();
+            if (audio) {
+                audio.pause();
+            }
+        },
+
+        /**
+         * @function stop
+         * @description Fades out and releases the track
+         * @param {number} [fadeOut=0] - Fade-out duration in ms
+         */
+        stop: function(fadeOut = 0) {
+            const track = audio;
+            audio = null;
+            trackUrl = null;
+            cancelFade();
+            if (!track) {
+                return;
+            }
+            // The released track fades on its own, a new track may start meanwhile
+            fade(track, fadeOut, () => {
+                track.pause();
+                track.removeAttribute('src');
+            });
+        },
+
+        /**
+         * @function cue
+         * @description Plays a short explosion sound, unless quiet
+         */
+        cue: function() {
+            if (quiet || suspended || volume === 0) {
+                return;
+            }
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) {
+                return;
+            }
+            if (!audioContext) {
+                audioContext = new AudioContextClass();
+                cueBuffer = createCueBuffer();
+            }
+
+            // Low-pass filtered noise, varied a little so explosions do not sound identical
+            const source = audioContext.createBufferSource();
+            source.buffer = cueBuffer;
+            source.playbackRate.value = 0.7 + Math.random() * 0.6;
+            const filter = audioContext.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = 600 + Math.random() * 600;
+            const gain = audioContext.createGain();
+            gain.gain.value = volume * 0.5;
+
+            source.connect(filter);
+            filter.connect(gain);
+            gain.connect(audioContext.destination);
+            source.start();
+        }
+    };
+})();
@@ -0,0 +1,61 @@
+/**
+ * @file sparklers.js
+ * @description Sparklers effect for MMM-Birthday module
+ * @author Christian Gillinger
+ * @license MIT
+ * @version 1.0.0
+ *
+ * Two sparklers in the lower corners of the screen throw short-lived sparks.
+ */
+
+(function() {
+    const defaultColors = ['#fff6d0', '#ffd700', '#ffa500'];
+
+    // Sparkler tips, as fractions of the screen size
+    const tips = [{ x: 0.12, y: 0.8 }, { x: 0.88, y: 0.8 }];
+
+    BirthdayEffects.register("sparklers", BirthdayEffects.createParticleEffect({
+        rate: 240,
+
+        spawn: function(area, options) {
+            const colors = options.colors || defaultColors;
+            const tip = tips[Math.floor(Math.random() * tips.length)];
+            const angle = Math.random() * Math.PI * 2;
+            const speed = 1 + Math.random() * 3;
+            const x = tip.x * area.width;
+            const y = tip.y * area.height;
+            return {
+                x: x,
+                y: y,
+                px: x,
+                py: y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                life: 1,
+                decay: 0.04 + Math.random() * 0.04,
+                color: colors[Math.floor(Math.random() * colors.length)]
+            };
+        },
+
+        update: function(spark, step) {
+            spark.px = spark.x;
+            spark.py = spark.y;
+            spark.x += spark.vx * step;
+            spark.y += spark.vy * step;
+            spark.vy += 0.05 * step;
+            spark.life -= spark.decay * step;
+            return spark.life > 0;
+        },
+
+        draw: function(ctx, spark) {
+            ctx.globalCompositeOperation = 'lighter';
+            ctx.globalAlpha = spark.life;
+            ctx.strokeStyle = spark.color;
+            ctx.lineWidth = PerformanceGovernor.useGlow() ? 2 : 1.5;
+            ctx.beginPath();
+            ctx.moveTo(spark.px, spark.py);
+            ctx.lineTo(spark.x, spark.y);
+            ctx.stroke();
+        }
+    }));
+})();
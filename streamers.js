@@ -0,0 +1,60 @@
+/**
+ * @file streamers.js
+ * @description Falling streamers effect for MMM-Birthday module
+ * @author Christian Gillinger
+ * @license MIT
+ * @version 1.0.0
+ *
+ * Curly paper streamers flutter down from the top of the screen.
+ */
+
+(function() {
+    const defaultColors = ['#ff718d', '#fdff6a', '#58cffb', '#ffffff', '#7b52ff'];
+
+    BirthdayEffects.register("streamers", BirthdayEffects.createParticleEffect({
+        rate: 4,
+
+        spawn: function(area, options) {
+            const colors = options.colors || defaultColors;
+            const length = 60 + Math.random() * 60;
+            return {
+                x: Math.random() * area.width,
+                y: -length,
+                length: length,
+                width: 4 + Math.random() * 4,
+                speed: 1.5 + Math.random() * 1.5,
+                drift: (Math.random() - 0.5) * 0.6,
+                phase: Math.random() * Math.PI * 2,
+                curl: 0.08 + Math.random() * 0.06,
+                color: colors[Math.floor(Math.random() * colors.length)]
+            };
+        },
+
+        update: function(streamer, step, area) {
+            streamer.y += streamer.speed * step;
+            streamer.x += streamer.drift * step;
+            streamer.phase += 0.1 * step;
+            return streamer.y - streamer.length < area.height;
+        },
+
+        draw: function(ctx, streamer) {
+            // A ribbon waving along its length, drawn as a short polyline
+            ctx.strokeStyle = streamer.color;
+            ctx.lineWidth = streamer.width;
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.globalAlpha = 0.9;
+            ctx.beginPath();
+            for (let i = 0; i <= streamer.length; i += 6) {
+                const x = streamer.x + Math.sin(streamer.phase + i * streamer.curl) * 8;
+                const y = streamer.y - i;
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.stroke();
+        }
+    }));
+})();
@@ -0,0 +1,102 @@
+/**
+ * @file vcard.js
+ * @description vCard (.vcf) birthday reader for MMM-Birthday module
+ * @author Christian Gillinger
+ * @license MIT
+ * @version 1.0.0
+ *
+ * Extracts BDAY and ANNIVERSARY dates from vCard 3.0/4.0 address book
+ * exports and converts them to the module's birthday entry format.
+ */
+
+const { unfold, unescapeValue } = require("./content-lines.js");
+
+/**
+ * @function parseDate
+ * @description Converts a vCard date to "YYYY-MM-DD" or "MM-DD"
+ * @param {string} value - Date value such as 19900504, 1990-05-04, --0504 or --05-04
+ * @returns {string|null} Birthday date string, or null if the value is not a date
+ */
+function parseDate(value) {
+    // Drop any time part, e.g. 1990-05-04T00:00:00Z
+    const date = value.trim().split("T")[0];
+
+    let match = date.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+    if (match) {
+        // Apple exports birthdays without a year as 1604
+        return match[1] === "1604" ? `${match[2]}-${match[3]}` : `${match[1]}-${match[2]}-${match[3]}`;
+    }
+
+    match = date.match(/^--(\d{2})-?(\d{2})$/);
+    if (match) {
+        return `${match[1]}-${match[2]}`;
+    }
+    return null;
+}
+
+/**
+ * @function parseLine
+ * @description Splits a content line into property name and value
+ * @param {string} line - Unfolded content line, e.g. "item1.BDAY;VALUE=date:1990-05-04"
+ * @returns {Object|null} Property name (upper case, without group) and raw value
+ */
+function parseLine(line) {
+    const colon = line.indexOf(":");
+    if (colon === -1) {
+        return null;
+    }
+    const name = line.slice(0, colon).split(";")[0].split(".").pop().toUpperCase();
+    return { name, value: line.slice(colon + 1) };
+}
+
+/**
+ * @function parse
+ * @description Extracts birthdays and anniversaries from vCard text
+ * @param {string} text - Contents of a .vcf file, one or more cards
+ * @returns {Array} Entries with name, date and type ("birthday" or "anniversary")
+ */
+function parse(text) {
+    const entries = [];
+    let card = null;
+
+    unfold(text).forEach(line => {
+        const property = parseLine(line);
+        if (!property) {
+            return;
+        }
+
+        if (property.name === "BEGIN" && property.value.toUpperCase() === "VCARD") {
+            card = { fn: null, n: null, dates: [] };
+        } else if (property.name === "END" && card) {
+            const name = card.fn || card.n;
+            if (name) {
+                card.dates.forEach(date => entries.push({ name, date: date.date, type: date.type }));
+            }
+            card = null;
+        } else if (card) {
+            switch (property.name) {
+                case "FN":
+                    card.fn = unescapeValue(property.value).trim() || null;
+                    break;
+                case "N": {
+                    // Family;Given;Additional;Prefix;Suffix
+                    const parts = property.value.split(";").map(unescapeValue);
+                    card.n = [parts[1], parts[0]].filter(Boolean).join(" ").trim() || null;
+                    break;
+                }
+                case "BDAY":
+                case "ANNIVERSARY": {
+                    const date = parseDate(property.value);
+                    if (date) {
+                        card.dates.push({ date, type: property.name === "BDAY" ? "birthday" : "anniversary" });
+                    }
+                    break;
+                }
+            }
+        }
+    });
+
+    return entries;
+}
+
+module.exports = { parse, parseDate };